@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react'
-import { useContract } from '../hooks/useContract'
+import { useContract, PAGE_SIZE } from '../hooks/useContract'
 import { useWallet } from '../hooks/useWallet'
 
 export default function Dashboard() {
@@ -17,24 +17,18 @@ export default function Dashboard() {
 
   const loadDashboardData = async () => {
     try {
-      const count = await contract.proposalCount()
-      setTotalProposals(Number(count))
+      const count = Number(await contract.proposalCount())
+      setTotalProposals(count)
 
-      // Count active proposals
+      // Count active proposals and my votes one page of proposals at a time
       let active = 0
       let votes = 0
-      const now = Math.floor(Date.now() / 1000)
+      for (let offset = 0; offset < count; offset += PAGE_SIZE) {
+        const activeIds = await contract.getActiveProposalIds(offset, PAGE_SIZE)
+        active += activeIds.length
 
-      for (let i = 0; i < Number(count); i++) {
-        const proposal = await contract.getProposal(i)
-        if (Number(proposal.endTime) > now && !proposal.executed) {
-          active++
-        }
-
-        const hasVoted = await contract.hasVoted(i, address)
-        if (hasVoted) {
-          votes++
-        }
+        const page = await contract.getVoterParticipation(address, offset, PAGE_SIZE)
+        votes += page.filter((entry) => entry.voted).length
       }
 
       setActiveProposals(active)
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react'
-import { useContract } from '../hooks/useContract'
+import { useContract, PAGE_SIZE, PROPOSAL_STATE } from '../hooks/useContract'
 import { useWallet } from '../hooks/useWallet'
 
 export default function ProposalsList() {
@@ -17,21 +17,23 @@ export default function ProposalsList() {
   const loadProposals = async () => {
     try {
       setLoading(true)
-      const count = await contract.proposalCount()
+      const count = Number(await contract.proposalCount())
       const proposalsData = []
 
-      for (let i = 0; i < Number(count); i++) {
-        const proposal = await contract.getProposal(i)
-        proposalsData.push({
-          id: i,
-          description: proposal.description,
-          startTime: Number(proposal.startTime),
-          endTime: Number(proposal.endTime),
-          yesVotes: Number(proposal.yesVotes),
-          noVotes: Number(proposal.noVotes),
-          executed: proposal.executed,
-          proposer: proposal.proposer
-        })
+      for (let offset = 0; offset < count; offset += PAGE_SIZE) {
+        const page = await contract.getProposals(offset, PAGE_SIZE)
+        for (const proposal of page) {
+          proposalsData.push({
+            id: Number(proposal.id),
+            description: proposal.description,
+            startTime: Number(proposal.votingStart),
+            endTime: Number(proposal.votingEnd),
+            yesVotes: Number(proposal.optionVotes[0] ?? 0),
+            noVotes: Number(proposal.optionVotes[1] ?? 0),
+            executed: Number(proposal.state) === PROPOSAL_STATE.EXECUTED,
+            proposer: proposal.creator
+          })
+        }
       }
 
       setProposals(proposalsData.reverse())
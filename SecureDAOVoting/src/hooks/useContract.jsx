@@ -15,6 +15,10 @@ const CONTRACT_ABI = [
   "function proposalCount() external view returns (uint256)",
   "function votingPower(address) external view returns (uint256)",
   "function hasVoted(uint256, address) external view returns (bool)",
+  "function getProposals(uint256 offset, uint256 limit) external view returns (tuple(uint256 id, string title, string description, address creator, uint256 votingStart, uint256 votingEnd, uint256 totalVoters, uint256 totalStaked, uint8 state, uint8 outcome, uint64[] optionVotes)[])",
+  "function getActiveProposalIds(uint256 offset, uint256 limit) external view returns (uint256[])",
+  "function getVoterParticipation(address voter, uint256 offset, uint256 limit) external view returns (tuple(uint256 proposalId, bool voted, address representedBy, uint256 stake, bool claimed)[])",
+  "function getProposalState(uint256 proposalId) external view returns (uint8)",
   "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string description)",
   "event VoteCommitted(uint256 indexed proposalId, address indexed voter)",
   "event VoteRevealed(uint256 indexed proposalId, address indexed voter, bool support)"
@@ -80,6 +84,25 @@ export function ContractProvider({ children }) {
   )
 }
 
+// Largest page accepted by the paginated views (MAX_PAGE_SIZE)
+export const PAGE_SIZE = 100
+
+// ProposalState values returned by getProposals and getProposalState
+export const PROPOSAL_STATE = {
+  PENDING: 0,
+  ACTIVE: 1,
+  AWAITING_DECRYPTION: 2,
+  DECRYPTION_PENDING: 3,
+  AWAITING_EXECUTION: 4,
+  QUEUED: 5,
+  EXECUTED: 6,
+  EXPIRED: 7,
+  REFUNDS_ENABLED: 8,
+  PAUSED: 9,
+  CANCELLED: 10,
+  VETOED: 11
+}
+
 export function useContract() {
   const context = useContext(ContractContext)
   if (!context) {
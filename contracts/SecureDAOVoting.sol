@@ -1,183 +1,101 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, externalEuint64, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
-import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { FHE, externalEuint64, externalEuint8, euint64, euint8, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { IVotingPowerSource } from "./interfaces/IVotingPowerSource.sol";
+import { SecureDAOVotingBase } from "./SecureDAOVotingBase.sol";
 
 /// @title Advanced DAO Voting Contract with FHE Privacy & Gateway Callbacks
 /// @notice Privacy-preserving governance using Fully Homomorphic Encryption with timeout protection and refund mechanisms
-/// @dev Implements Gateway callback pattern for decryption with comprehensive security features
-contract SecureDAOVoting is SepoliaConfig {
-
-    /*//////////////////////////////////////////////////////////////
-                                STRUCTURES
-    //////////////////////////////////////////////////////////////*/
-
-    struct Proposal {
-        uint256 id;
-        string title;
-        string description;
-        address creator;
-        uint256 createdAt;
-        uint256 votingEnd;
-        euint64 yesVotes;        // FHE-encrypted vote tally
-        euint64 noVotes;         // FHE-encrypted vote tally
-        uint64 revealedYes;      // Decrypted yes votes
-        uint64 revealedNo;       // Decrypted no votes
-        uint256 totalVoters;
-        uint256 totalStaked;     // Total ETH staked by voters
-        bool executed;
-        bool active;
-        bool isResolved;         // Decryption completed
-        uint256 decryptionRequestId;
-        uint256 decryptionRequestTime;  // For timeout tracking
-        bool refundEnabled;      // Enable refunds if decryption fails
-    }
-
-    /*//////////////////////////////////////////////////////////////
-                            STATE VARIABLES
-    //////////////////////////////////////////////////////////////*/
-
-    mapping(uint256 => Proposal) public proposals;
-    mapping(address => uint256) public voterWeight;
-    mapping(uint256 => mapping(address => bool)) public hasVoted;
-    mapping(uint256 => mapping(address => uint8)) internal userVoteType; // 0=No, 1=Yes
-    mapping(uint256 => mapping(address => bool)) internal hasClaimed;
-    mapping(uint256 => mapping(address => uint256)) internal userStake; // Track individual stakes
-    mapping(uint256 => uint256) internal proposalIdByRequestId;
-
-    uint256 public proposalCount;
-    uint256 public constant VOTING_DURATION = 7 days;
-    uint256 public constant REVEAL_PERIOD = 1 days;
-    uint256 public constant DECRYPTION_TIMEOUT = 3 days;
-    uint256 public constant MIN_VOTING_POWER = 100;
-    uint256 public constant MIN_STAKE = 0.001 ether;
-    uint256 public constant PLATFORM_FEE = 0.01 ether;
-
-    address public owner;
-    bool public votingOpen;
-    uint256 public platformFees;
-
-    // Privacy protection: random multiplier to prevent division leakage
-    uint256 private randomMultiplier;
-
-    /*//////////////////////////////////////////////////////////////
-                                 EVENTS
-    //////////////////////////////////////////////////////////////*/
-
-    event ProposalCreated(uint256 indexed proposalId, string title, address creator, uint256 votingEnd);
-    event VoteCommitted(uint256 indexed proposalId, address indexed voter, uint256 stake);
-    event VoteRevealed(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight);
-    event ProposalExecuted(uint256 indexed proposalId, bool passed);
-    event DecryptionRequested(uint256 indexed proposalId, uint256 requestId);
-    event DecryptionCompleted(uint256 indexed proposalId, uint64 yesVotes, uint64 noVotes);
-    event DecryptionFailed(uint256 indexed proposalId, string reason);
-    event RefundIssued(uint256 indexed proposalId, address indexed voter, uint256 amount);
-    event PlatformFeesWithdrawn(address indexed to, uint256 amount);
-    event VoterWeightSet(address indexed voter, uint256 weight);
-    event TimeoutRefundTriggered(uint256 indexed proposalId, uint256 timeElapsed);
-
-    /*//////////////////////////////////////////////////////////////
-                                MODIFIERS
-    //////////////////////////////////////////////////////////////*/
-
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Only owner");
-        _;
-    }
-
-    modifier votingIsOpen() {
-        require(votingOpen, "Voting system closed");
-        _;
-    }
-
-    modifier proposalExists(uint256 proposalId) {
-        require(proposalId > 0 && proposalId <= proposalCount, "Proposal does not exist");
-        _;
-    }
-
-    modifier validAddress(address addr) {
-        require(addr != address(0), "Invalid address");
-        _;
-    }
+/// @dev Implements Gateway callback pattern for decryption with comprehensive security features.
+///      The owner-managed weight registry is the default IVotingPowerSource; token-based sources can replace it.
+///      Operational powers are split into roles; the owner holds DEFAULT_ADMIN_ROLE and can hand it to the DAO.
+///      This contract handles proposal creation, voting and the treasury. Administration, delegation and governance
+///      parameters live in SecureDAOVotingExtension; decryption, execution and stake claims in
+///      SecureDAOVotingGovernanceExtension; proposal views in SecureDAOVotingViewExtension. All are reached through
+///      the fallback, which keeps every contract under the contract size limit.
+///      EIP712 is inherited last so its storage sits after SecureDAOVotingBase and the extensions' layout still matches.
+contract SecureDAOVoting is SecureDAOVotingBase, EIP712 {
+    using SafeERC20 for IERC20;
+
+    /// @notice EIP-712 type of a ballot signed for voteBySig
+    bytes32 public constant BALLOT_TYPEHASH = keccak256(
+        "Ballot(address voter,uint256 proposalId,bytes32 encryptedWeight,bytes32 encryptedOption,"
+        "bytes inputProof,uint256 nonce,uint256 deadline)"
+    );
+
+    /// @notice Contract that serves every call this contract does not implement itself
+    address public immutable extension;
 
     /*//////////////////////////////////////////////////////////////
                               CONSTRUCTOR
     //////////////////////////////////////////////////////////////*/
 
-    constructor() {
+    constructor(address _extension) EIP712("SecureDAOVoting", "1") validAddress(_extension) {
+        extension = _extension;
         owner = msg.sender;
         votingOpen = true;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(WEIGHT_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(EMERGENCY_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+        votingPowerSource = IVotingPowerSource(address(this));
+        maxDecryptionAttempts = 3;
+        votingDuration = 7 days;
+        revealPeriod = 1 days;
+        decryptionTimeout = 3 days;
+        minVotingPower = 100;
+        minStake = 0.001 ether;
+        platformFee = 0.01 ether;
+        timelockDelay = 2 days;
+        gracePeriod = 14 days;
+        votingDelay = 1 days;
         randomMultiplier = uint256(keccak256(abi.encodePacked(block.timestamp, block.prevrandao, msg.sender))) % 1000 + 1;
     }
 
     /*//////////////////////////////////////////////////////////////
-                          ADMIN FUNCTIONS
-    //////////////////////////////////////////////////////////////*/
-
-    /// @notice Set voter weight with input validation
-    /// @param voter Address of the voter
-    /// @param weight Voting weight (must be non-zero)
-    function setVoterWeight(address voter, uint256 weight) external onlyOwner validAddress(voter) {
-        require(weight > 0, "Weight must be positive");
-        require(weight <= 1e18, "Weight too large"); // Overflow protection
-        voterWeight[voter] = weight;
-        emit VoterWeightSet(voter, weight);
-    }
-
-    /// @notice Batch set voter weights with validation
-    /// @param voters Array of voter addresses
-    /// @param weights Array of voting weights
-    function setMultipleVoterWeights(address[] memory voters, uint256[] memory weights) external onlyOwner {
-        require(voters.length == weights.length, "Array length mismatch");
-        require(voters.length <= 100, "Batch too large"); // Gas optimization
-
-        for (uint i = 0; i < voters.length; i++) {
-            require(voters[i] != address(0), "Invalid address");
-            require(weights[i] > 0 && weights[i] <= 1e18, "Invalid weight");
-            voterWeight[voters[i]] = weights[i];
-            emit VoterWeightSet(voters[i], weights[i]);
-        }
-    }
-
-    /// @notice Withdraw accumulated platform fees
-    /// @param to Recipient address
-    function withdrawPlatformFees(address to) external onlyOwner validAddress(to) {
-        require(platformFees > 0, "No fees available");
-        uint256 amount = platformFees;
-        platformFees = 0;
-
-        (bool sent, ) = payable(to).call{value: amount}("");
-        require(sent, "Transfer failed");
-
-        emit PlatformFeesWithdrawn(to, amount);
-    }
-
-    /// @notice Open/close voting system
-    function setVotingOpen(bool _open) external onlyOwner {
-        votingOpen = _open;
-    }
-
-    /// @notice Emergency pause proposal
-    function pauseProposal(uint256 proposalId) external onlyOwner proposalExists(proposalId) {
-        proposals[proposalId].active = false;
-    }
-
-    /*//////////////////////////////////////////////////////////////
-                        PROPOSAL MANAGEMENT
+                          PROPOSAL MANAGEMENT
     //////////////////////////////////////////////////////////////*/
 
     /// @notice Create a new proposal with platform fee
     /// @param title Proposal title
     /// @param description Proposal description
-    function createProposal(string memory title, string memory description) external payable votingIsOpen {
-        require(voterWeight[msg.sender] >= MIN_VOTING_POWER, "Insufficient voting power");
-        require(msg.value == PLATFORM_FEE, "Incorrect platform fee");
+    /// @param actions Calls performed atomically by executeProposal if the proposal passes
+    /// @param config Quorum, approval threshold and ballot options
+    function createProposal(
+        string memory title,
+        string memory description,
+        ProposalAction[] calldata actions,
+        ProposalConfig calldata config
+    ) external payable votingIsOpen {
+        require(
+            _votingPowerAt(votingPowerSource, msg.sender, block.number - 1) >= minVotingPower,
+            "Insufficient voting power"
+        );
+        require(msg.value == platformFee, "Incorrect platform fee");
         require(bytes(title).length > 0 && bytes(title).length <= 200, "Invalid title length");
         require(bytes(description).length > 0 && bytes(description).length <= 2000, "Invalid description length");
+        require(actions.length <= MAX_ACTIONS, "Too many actions");
+        require(config.quorumBps <= MAX_BPS, "Invalid quorum");
+        require(!config.confidentialWeights || config.quorumBps == 0, "Quorum needs public weights");
+
+        uint256 start = config.votingStart == 0 ? block.timestamp + votingDelay : config.votingStart;
+        require(
+            start >= block.timestamp + votingDelay && start <= block.timestamp + MAX_VOTING_DELAY,
+            "Invalid voting start"
+        );
+        uint256 duration = config.votingDuration == 0 ? votingDuration : config.votingDuration;
+        require(duration >= MIN_VOTING_DURATION && duration <= MAX_VOTING_DURATION, "Invalid voting duration");
 
-        platformFees += msg.value;
         proposalCount++;
+        _recordTreasury(TreasuryEntryKind.Fee, address(0), msg.sender, msg.value, proposalCount);
+        reservedFees += msg.value;
 
         Proposal storage newProposal = proposals[proposalCount];
         newProposal.id = proposalCount;
@@ -185,323 +103,487 @@ contract SecureDAOVoting is SepoliaConfig {
         newProposal.description = description;
         newProposal.creator = msg.sender;
         newProposal.createdAt = block.timestamp;
-        newProposal.votingEnd = block.timestamp + VOTING_DURATION;
+        newProposal.votingStart = start;
+        newProposal.votingEnd = start + duration;
+        if (start + duration > latestVotingEnd) latestVotingEnd = start + duration;
+        newProposal.settings.votingDuration = duration;
         newProposal.active = true;
-        newProposal.yesVotes = FHE.asEuint64(0);
-        newProposal.noVotes = FHE.asEuint64(0);
-        newProposal.revealedYes = 0;
-        newProposal.revealedNo = 0;
+        newProposal.settings.feePaid = msg.value;
+        _initOptions(newProposal, config);
         newProposal.totalStaked = 0;
         newProposal.isResolved = false;
         newProposal.refundEnabled = false;
+        // Snapshot the previous block so weight changes later in this block cannot leak in
+        newProposal.settings.snapshotBlock = block.number - 1;
+        newProposal.settings.powerSource = votingPowerSource;
+        newProposal.settings.confidentialWeights = config.confidentialWeights;
+        newProposal.settings.outcomeOnly = config.outcomeOnly;
+        // A published weight tree lists the whole registry membership, so it sets the quorum base of registry
+        // proposals; a power source reports its own total
+        uint256 epoch = address(votingPowerSource) == address(this) ? weightEpoch : 0;
+        newProposal.settings.weightEpoch = epoch;
+        newProposal.settings.quorumBps = config.quorumBps;
+        uint256 totalPower = epoch > 0
+            ? weightRootTotals[epoch]
+            : _totalVotingPowerAt(votingPowerSource, newProposal.settings.snapshotBlock);
+        // Tallies are euint64, so the combined weight of every voter must fit for them not to wrap
+        require(totalPower <= type(uint64).max, "Total voting power too large");
+        newProposal.settings.quorumVotes = (totalPower * config.quorumBps + MAX_BPS - 1) / MAX_BPS; // Round up
+        newProposal.settings.threshold = config.threshold;
+        newProposal.settings.settlementPolicy = settlementPolicy;
+        newProposal.settings.slashBps = slashBps;
+
+        for (uint i = 0; i < actions.length; i++) {
+            require(actions[i].target != address(0), "Invalid action target");
+            require(!_isTreasuryToken(actions[i].target), "Use treasuryTransfer for treasury tokens");
+            proposalActions[proposalCount].push(actions[i]);
+        }
 
-        emit ProposalCreated(proposalCount, title, msg.sender, newProposal.votingEnd);
+        emit ProposalCreated(proposalCount, title, msg.sender, start, newProposal.votingEnd, duration);
     }
 
-    /*//////////////////////////////////////////////////////////////
-                        VOTING FUNCTIONS (FHE)
-    //////////////////////////////////////////////////////////////*/
-
-    /// @notice Cast encrypted vote using FHE
-    /// @param proposalId Proposal ID
-    /// @param encryptedWeight Encrypted voting weight
-    /// @param voteType Vote choice (0=No, 1=Yes)
-    /// @param inputProof FHE input proof
-    function vote(
-        uint256 proposalId,
-        externalEuint64 encryptedWeight,
-        uint8 voteType,
-        bytes calldata inputProof
-    ) external payable proposalExists(proposalId) votingIsOpen {
-        Proposal storage proposal = proposals[proposalId];
+    /// @notice Store the ballot options and start each option tally at an encrypted zero
+    /// @dev Without custom labels the ballot is Yes/No; Abstain is always the last option when enabled
+    function _initOptions(Proposal storage proposal, ProposalConfig calldata config) internal {
+        uint256 optionCount = (config.options.length == 0 ? 2 : config.options.length) + (config.allowAbstain ? 1 : 0);
+        require(config.options.length != 1 && optionCount <= MAX_OPTIONS, "Invalid option count");
 
-        // Input validation
-        require(proposal.active, "Proposal not active");
-        require(!proposal.isResolved, "Proposal already resolved");
-        require(block.timestamp < proposal.votingEnd, "Voting has ended");
-        require(!hasVoted[proposalId][msg.sender], "Already voted");
-        require(msg.value >= MIN_STAKE, "Stake too low");
-        require(msg.value <= 100 ether, "Stake too high"); // Overflow protection
-        require(voteType == 0 || voteType == 1, "Invalid vote type");
-        require(voterWeight[msg.sender] > 0, "No voting permission");
-
-        // FHE operations with error handling
-        try this.processEncryptedVote(proposal, encryptedWeight, voteType, inputProof) {
-            // Vote processed successfully
-            hasVoted[proposalId][msg.sender] = true;
-            userVoteType[proposalId][msg.sender] = voteType;
-            userStake[proposalId][msg.sender] = msg.value;
-            proposal.totalStaked += msg.value;
-            proposal.totalVoters++;
-
-            emit VoteCommitted(proposalId, msg.sender, msg.value);
-        } catch {
-            revert("FHE vote processing failed");
+        if (config.options.length == 0) {
+            proposal.options.push("Yes");
+            proposal.options.push("No");
         }
-    }
-
-    /// @notice Internal function to process encrypted vote
-    /// @dev Separated for better error handling
-    function processEncryptedVote(
-        Proposal storage proposal,
-        externalEuint64 encryptedWeight,
-        uint8 voteType,
-        bytes calldata inputProof
-    ) external {
-        require(msg.sender == address(this), "Internal only");
+        for (uint i = 0; i < config.options.length; i++) {
+            uint256 length = bytes(config.options[i]).length;
+            require(length > 0 && length <= 50, "Invalid option label");
+            proposal.options.push(config.options[i]);
+        }
+        if (config.allowAbstain) {
+            proposal.options.push("Abstain");
+        }
+        proposal.settings.allowAbstain = config.allowAbstain;
 
-        // Import and validate encrypted weight
-        euint64 weight = FHE.fromExternal(encryptedWeight, inputProof);
         euint64 zero = FHE.asEuint64(0);
-
-        // Create encrypted booleans for vote type
-        ebool isYes = FHE.eq(FHE.asEuint64(voteType), FHE.asEuint64(1));
-        ebool isNo = FHE.eq(FHE.asEuint64(voteType), FHE.asEuint64(0));
-
-        // Homomorphic vote aggregation with conditional selection
-        proposal.yesVotes = FHE.add(proposal.yesVotes, FHE.select(isYes, weight, zero));
-        proposal.noVotes = FHE.add(proposal.noVotes, FHE.select(isNo, weight, zero));
-
-        // Grant contract access to encrypted values for decryption
-        FHE.allowThis(proposal.yesVotes);
-        FHE.allowThis(proposal.noVotes);
+        FHE.allowThis(zero);
+        for (uint i = 0; i < optionCount; i++) {
+            proposal.optionVotes.push(zero);
+        }
     }
 
     /*//////////////////////////////////////////////////////////////
-                    GATEWAY CALLBACK DECRYPTION
+                               DELEGATION
     //////////////////////////////////////////////////////////////*/
 
-    /// @notice Request vote tally decryption from Gateway oracle
-    /// @param proposalId Proposal ID
-    function requestTallyReveal(uint256 proposalId) external proposalExists(proposalId) {
+    /// @notice Claim the snapshot weight of delegators who have not voted on this proposal
+    /// @dev Marks each counted delegator as represented so they cannot vote again
+    function _collectDelegatedPower(uint256 proposalId, address delegatee) internal returns (uint256 power) {
+        address[] storage list = delegators[delegatee];
         Proposal storage proposal = proposals[proposalId];
 
-        require(proposal.active, "Proposal not active");
-        require(block.timestamp >= proposal.votingEnd, "Voting not ended");
-        require(!proposal.isResolved, "Already resolved");
-        require(msg.sender == proposal.creator || msg.sender == owner, "Unauthorized");
-        require(proposal.decryptionRequestId == 0, "Decryption already requested");
+        for (uint i = 0; i < list.length; i++) {
+            address delegator = list[i];
+            if (hasVoted[proposalId][delegator] || representedBy[proposalId][delegator] != address(0)) continue;
 
-        // Prepare ciphertexts for decryption
-        bytes32[] memory cts = new bytes32[](2);
-        cts[0] = FHE.toBytes32(proposal.yesVotes);
-        cts[1] = FHE.toBytes32(proposal.noVotes);
+            representedBy[proposalId][delegator] = delegatee;
+            power += _votingPowerAt(proposal.settings.powerSource, delegator, proposal.settings.snapshotBlock);
+        }
+    }
 
-        // Request decryption from Gateway oracle
-        uint256 requestId = FHE.requestDecryption(cts, this.resolveTallyCallback.selector);
+    /// @notice Encrypted own plus delegated snapshot weight for confidential-weight proposals
+    /// @dev Marks each counted delegator as represented so they cannot vote again. The sum is clamped to
+    ///      MAX_ENCRYPTED_WEIGHT after each delegator; both terms are within the cap, so no addition wraps.
+    function _collectConfidentialPower(uint256 proposalId, address voter) internal returns (euint64 power) {
+        uint256 snapshotBlock = proposals[proposalId].settings.snapshotBlock;
+        address[] storage list = delegators[voter];
 
-        proposal.decryptionRequestId = requestId;
-        proposal.decryptionRequestTime = block.timestamp;
-        proposalIdByRequestId[requestId] = proposalId;
+        power = _encryptedWeightAt(voter, snapshotBlock);
+        bool hasPower = FHE.isInitialized(power);
 
-        emit DecryptionRequested(proposalId, requestId);
-    }
+        for (uint i = 0; i < list.length; i++) {
+            address delegator = list[i];
+            if (hasVoted[proposalId][delegator] || representedBy[proposalId][delegator] != address(0)) continue;
 
-    /// @notice Gateway callback for decryption results
-    /// @param requestId Decryption request ID
-    /// @param cleartexts Decrypted values
-    /// @param decryptionProof Cryptographic proof
-    function resolveTallyCallback(
-        uint256 requestId,
-        bytes memory cleartexts,
-        bytes memory decryptionProof
-    ) external {
-        // Verify cryptographic signatures
-        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+            euint64 delegated = _encryptedWeightAt(delegator, snapshotBlock);
+            if (!FHE.isInitialized(delegated)) continue;
 
-        // Decode decrypted vote tallies
-        (uint64 revealedYes, uint64 revealedNo) = abi.decode(cleartexts, (uint64, uint64));
-
-        uint256 proposalId = proposalIdByRequestId[requestId];
-        require(proposalId > 0, "Invalid request ID");
+            representedBy[proposalId][delegator] = voter;
+            power = hasPower ? FHE.min(FHE.add(power, delegated), MAX_ENCRYPTED_WEIGHT) : delegated;
+            hasPower = true;
+        }
 
-        Proposal storage proposal = proposals[proposalId];
-        require(!proposal.isResolved, "Already resolved");
+        require(hasPower, "No voting permission");
+    }
 
-        // Update proposal with decrypted results
-        proposal.revealedYes = revealedYes;
-        proposal.revealedNo = revealedNo;
-        proposal.isResolved = true;
+    /*//////////////////////////////////////////////////////////////
+                         VOTING FUNCTIONS (FHE)
+    //////////////////////////////////////////////////////////////*/
 
-        emit DecryptionCompleted(proposalId, revealedYes, revealedNo);
+    /// @notice Cast encrypted vote using FHE
+    /// @dev Both the weight and the choice are encrypted; the choice is never stored or emitted in plaintext
+    /// @param proposalId Proposal ID
+    /// @param encryptedWeight Encrypted voting weight
+    /// @param encryptedOption Encrypted option index (0=Yes, 1=No on Yes/No ballots); out-of-range indexes count nowhere
+    /// @param inputProof FHE input proof covering both encrypted inputs
+    function vote(
+        uint256 proposalId,
+        externalEuint64 encryptedWeight,
+        externalEuint8 encryptedOption,
+        bytes calldata inputProof
+    ) external payable proposalExists(proposalId) votingIsOpen {
+        _castVote(proposalId, msg.sender, 0, encryptedWeight, encryptedOption, inputProof);
     }
 
-    /// @notice Enable refunds if decryption times out
+    /// @notice Cast encrypted vote with a Merkle proof of the voter's weight
+    /// @dev Members listed in the weight tree of the proposal's epoch can vote without claiming their weight first.
+    ///      The proven weight replaces the registry weight for this proposal; delegated weight is still added.
     /// @param proposalId Proposal ID
-    function triggerTimeoutRefund(uint256 proposalId) external proposalExists(proposalId) {
+    /// @param weight Weight listed for the caller in the tree
+    /// @param proof Merkle proof of (msg.sender, weight)
+    /// @param encryptedWeight Encrypted voting weight
+    /// @param encryptedOption Encrypted option index
+    /// @param inputProof FHE input proof covering both encrypted inputs
+    function voteWithProof(
+        uint256 proposalId,
+        uint256 weight,
+        bytes32[] calldata proof,
+        externalEuint64 encryptedWeight,
+        externalEuint8 encryptedOption,
+        bytes calldata inputProof
+    ) external payable proposalExists(proposalId) votingIsOpen {
         Proposal storage proposal = proposals[proposalId];
 
-        require(proposal.decryptionRequestId > 0, "No decryption requested");
-        require(!proposal.isResolved, "Already resolved");
+        require(!proposal.settings.confidentialWeights, "Proof needs public weights");
+        require(address(proposal.settings.powerSource) == address(this), "Proof needs registry weights");
         require(
-            block.timestamp >= proposal.decryptionRequestTime + DECRYPTION_TIMEOUT,
-            "Timeout not reached"
+            weight > 0 && _verifyWeight(proposal.settings.weightEpoch, msg.sender, weight, proof),
+            "Invalid weight proof"
         );
 
-        // Enable refunds for all voters
-        proposal.refundEnabled = true;
-
-        emit TimeoutRefundTriggered(proposalId, block.timestamp - proposal.decryptionRequestTime);
-        emit DecryptionFailed(proposalId, "Decryption timeout");
+        _castVote(proposalId, msg.sender, weight, encryptedWeight, encryptedOption, inputProof);
     }
 
-    /*//////////////////////////////////////////////////////////////
-                    PROPOSAL EXECUTION & CLAIMS
-    //////////////////////////////////////////////////////////////*/
+    /// @notice Cast a ballot signed off-chain by the voter and submitted by a relayer
+    /// @dev The FHE input proof is verified against msg.sender, so the voter must encrypt the ballot for the
+    ///      relayer's address. The stake is paid by the relayer and credited to the voter.
+    /// @param proposalId Proposal ID
+    /// @param encryptedWeight Encrypted voting weight
+    /// @param encryptedOption Encrypted option index
+    /// @param inputProof FHE input proof covering both encrypted inputs
+    /// @param voter Account that signed the ballot
+    /// @param nonce Voter's current nonce, see nonces
+    /// @param deadline Last timestamp at which the signature is accepted
+    /// @param signature EIP-712 signature over the Ballot type
+    function voteBySig(
+        uint256 proposalId,
+        externalEuint64 encryptedWeight,
+        externalEuint8 encryptedOption,
+        bytes calldata inputProof,
+        address voter,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external payable proposalExists(proposalId) votingIsOpen {
+        require(block.timestamp <= deadline, "Signature expired");
+        require(nonce == nonces[voter], "Invalid nonce");
+
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            BALLOT_TYPEHASH,
+            voter,
+            proposalId,
+            encryptedWeight,
+            encryptedOption,
+            keccak256(inputProof),
+            nonce,
+            deadline
+        )));
+        require(ECDSA.recover(digest, signature) == voter, "Invalid signature");
+
+        nonces[voter] = nonce + 1;
+        _castVote(proposalId, voter, 0, encryptedWeight, encryptedOption, inputProof);
+
+        emit VoteRelayed(proposalId, voter, msg.sender, nonce);
+    }
 
-    /// @notice Execute proposal after decryption
+    /// @notice Record a first ballot for a voter, staking msg.value on their behalf
     /// @param proposalId Proposal ID
-    function executeProposal(uint256 proposalId) external proposalExists(proposalId) {
+    /// @param voter Account the ballot is counted for
+    /// @param provenWeight Weight proven against the proposal's weight tree, or 0 to read the power source
+    function _castVote(
+        uint256 proposalId,
+        address voter,
+        uint256 provenWeight,
+        externalEuint64 encryptedWeight,
+        externalEuint8 encryptedOption,
+        bytes calldata inputProof
+    ) internal {
         Proposal storage proposal = proposals[proposalId];
 
-        require(proposal.isResolved, "Not resolved");
-        require(!proposal.executed, "Already executed");
+        // Input validation
         require(proposal.active, "Proposal not active");
-        require(
-            block.timestamp >= proposal.votingEnd + REVEAL_PERIOD,
-            "Reveal period not ended"
-        );
+        require(!proposal.isResolved, "Proposal already resolved");
+        require(block.timestamp >= proposal.votingStart, "Voting not started");
+        require(block.timestamp < proposal.votingEnd, "Voting has ended");
+        require(!hasVoted[proposalId][voter], "Already voted");
+        require(representedBy[proposalId][voter] == address(0), "Vote cast by delegate");
+        require(msg.value >= minStake, "Stake too low");
+        require(msg.value <= 100 ether, "Stake too high"); // Overflow protection
+
+        euint64 maxWeight;
+        if (proposal.settings.confidentialWeights) {
+            maxWeight = _collectConfidentialPower(proposalId, voter);
+        } else {
+            uint256 ownPower = provenWeight > 0
+                ? provenWeight
+                : _votingPowerAt(proposal.settings.powerSource, voter, proposal.settings.snapshotBlock);
+            uint256 votingPower = ownPower + _collectDelegatedPower(proposalId, voter);
+            require(votingPower > 0, "No voting permission");
+            require(votingPower <= type(uint64).max, "Voting power too large");
+            maxWeight = FHE.asEuint64(uint64(votingPower));
+        }
 
-        proposal.executed = true;
+        ballots[proposalId][voter] = processEncryptedVote(
+            proposal,
+            encryptedWeight,
+            encryptedOption,
+            inputProof,
+            maxWeight,
+            msg.value
+        );
 
-        // Determine outcome with division protection
-        bool passed = proposal.revealedYes > proposal.revealedNo;
+        hasVoted[proposalId][voter] = true;
+        userStake[proposalId][voter] = msg.value;
+        proposal.totalStaked += msg.value;
+        _releaseFeeReserve(proposal);
+        proposal.totalVoters++;
+        _addStake(proposalId, msg.value);
 
-        emit ProposalExecuted(proposalId, passed);
+        emit VoteCommitted(proposalId, voter, msg.value);
     }
 
-    /// @notice Claim refund if decryption failed or timed out
+    /// @notice Replace an earlier ballot while voting is still open
+    /// @dev The previous contribution is subtracted homomorphically, so neither choice is revealed. The weight cap
+    ///      from the first ballot still applies, and an encrypted weight of zero retracts the vote without saying
+    ///      so publicly. Any ETH sent is added to the existing stake.
     /// @param proposalId Proposal ID
-    function claimRefund(uint256 proposalId) external proposalExists(proposalId) {
+    /// @param encryptedWeight Encrypted voting weight
+    /// @param encryptedOption Encrypted option index
+    /// @param inputProof FHE input proof covering both encrypted inputs
+    function changeVote(
+        uint256 proposalId,
+        externalEuint64 encryptedWeight,
+        externalEuint8 encryptedOption,
+        bytes calldata inputProof
+    ) external payable proposalExists(proposalId) votingIsOpen {
         Proposal storage proposal = proposals[proposalId];
 
+        require(proposal.active, "Proposal not active");
+        require(block.timestamp < proposal.votingEnd, "Voting has ended");
         require(hasVoted[proposalId][msg.sender], "Did not vote");
-        require(!hasClaimed[proposalId][msg.sender], "Already claimed");
-        require(proposal.refundEnabled, "Refunds not enabled");
 
-        uint256 refundAmount = userStake[proposalId][msg.sender];
-        require(refundAmount > 0, "No stake to refund");
+        uint256 stake = userStake[proposalId][msg.sender] + msg.value;
+        require(stake <= 100 ether, "Stake too high"); // Overflow protection
 
-        hasClaimed[proposalId][msg.sender] = true;
+        // The previous ballot is part of every tally, so the subtraction cannot underflow
+        Ballot storage previous = ballots[proposalId][msg.sender];
+        for (uint i = 0; i < previous.votes.length; i++) {
+            proposal.optionVotes[i] = FHE.sub(proposal.optionVotes[i], previous.votes[i]);
+        }
+        proposal.emptyStake = FHE.sub(proposal.emptyStake, previous.emptyStake);
+
+        ballots[proposalId][msg.sender] = processEncryptedVote(
+            proposal,
+            encryptedWeight,
+            encryptedOption,
+            inputProof,
+            previous.maxWeight,
+            stake
+        );
+
+        userStake[proposalId][msg.sender] = stake;
+        proposal.totalStaked += msg.value;
+        _addStake(proposalId, msg.value);
+
+        emit VoteChanged(proposalId, msg.sender, stake);
+    }
+
+    /// @notice Internal function to process encrypted vote
+    /// @dev Runs in the submitter's call context so the input proof is verified against msg.sender.
+    ///      The counted weight is min(encryptedWeight, maxWeight), computed homomorphically. Tallies cannot wrap:
+    ///      public weights are checked against uint64 at creation and confidential ones capped at
+    ///      MAX_ENCRYPTED_WEIGHT.
+    /// @param stake The voter's whole stake on the proposal, which counts as empty if the ballot counts nowhere
+    /// @return ballot The voter's contribution to each tally, kept so changeVote can subtract it
+    function processEncryptedVote(
+        Proposal storage proposal,
+        externalEuint64 encryptedWeight,
+        externalEuint8 encryptedOption,
+        bytes calldata inputProof,
+        euint64 maxWeight,
+        uint256 stake
+    ) internal returns (Ballot memory ballot) {
+        // Import and validate encrypted inputs
+        euint64 submittedWeight = FHE.fromExternal(encryptedWeight, inputProof);
+        euint8 option = FHE.fromExternal(encryptedOption, inputProof);
+        euint64 zero = FHE.asEuint64(0);
 
-        // Transfer refund with reentrancy protection
-        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
-        require(sent, "Refund transfer failed");
+        // Cap the submitted weight at the voter's own plus delegated weight
+        euint64 weight = FHE.min(submittedWeight, maxWeight);
 
-        emit RefundIssued(proposalId, msg.sender, refundAmount);
+        // Homomorphic vote aggregation: every tally gets the weight or zero depending on the encrypted choice
+        uint256 optionCount = proposal.optionVotes.length;
+        ballot.votes = new euint64[](optionCount);
+        ballot.maxWeight = maxWeight;
+        for (uint i = 0; i < optionCount; i++) {
+            ballot.votes[i] = FHE.select(FHE.eq(option, uint8(i)), weight, zero);
+            proposal.optionVotes[i] = FHE.add(proposal.optionVotes[i], ballot.votes[i]);
+
+            // Grant contract access to encrypted values for decryption and later vote changes
+            FHE.allowThis(proposal.optionVotes[i]);
+            FHE.allowThis(ballot.votes[i]);
+        }
+        FHE.allowThis(ballot.maxWeight);
+
+        // An empty ballot is not participation, which settlement may slash; only the per-proposal total is revealed
+        ebool counted = FHE.and(FHE.ne(weight, zero), FHE.lt(option, uint8(optionCount)));
+        ballot.emptyStake = FHE.select(counted, FHE.asEuint128(0), FHE.asEuint128(uint128(stake)));
+        proposal.emptyStake = FHE.add(proposal.emptyStake, ballot.emptyStake);
+        FHE.allowThis(ballot.emptyStake);
+        FHE.allowThis(proposal.emptyStake);
     }
 
     /*//////////////////////////////////////////////////////////////
-                            VIEW FUNCTIONS
+                                TREASURY
     //////////////////////////////////////////////////////////////*/
 
-    /// @notice Get proposal information with obfuscated details before resolution
-    /// @param proposalId Proposal ID
-    function getProposal(uint256 proposalId) external view proposalExists(proposalId) returns (
-        uint256 id,
-        string memory title,
-        string memory description,
-        address creator,
-        uint256 createdAt,
-        uint256 votingEnd,
-        uint64 yesVotes,
-        uint64 noVotes,
-        uint256 totalVoters,
-        uint256 totalStaked,
-        bool executed,
-        bool active,
-        bool isResolved
-    ) {
-        Proposal storage proposal = proposals[proposalId];
+    /// @notice Donate ETH to the treasury
+    function donate() external payable {
+        require(msg.value > 0, "No ETH sent");
+        _recordTreasury(TreasuryEntryKind.Donation, address(0), msg.sender, msg.value, 0);
+    }
 
-        // Price obfuscation: only reveal counts after resolution
-        uint64 displayYes = proposal.isResolved ? proposal.revealedYes : 0;
-        uint64 displayNo = proposal.isResolved ? proposal.revealedNo : 0;
-
-        return (
-            proposal.id,
-            proposal.title,
-            proposal.description,
-            proposal.creator,
-            proposal.createdAt,
-            proposal.votingEnd,
-            displayYes,
-            displayNo,
-            proposal.totalVoters,
-            proposal.totalStaked,
-            proposal.executed,
-            proposal.active,
-            proposal.isResolved
-        );
+    /// @notice Withdraw the platform fees collected at proposal creation, see protocolFees
+    /// @dev Donations and slashed stakes stay in the treasury, where only passed proposals can spend them.
+    ///      Fees of proposals their creator may still cancel stay too, see reservedFees.
+    /// @param to Recipient address
+    function withdrawPlatformFees(address to) external onlyRole(TREASURER_ROLE) validAddress(to) {
+        uint256 amount = protocolFees - reservedFees;
+        require(amount > 0, "No fees available");
+        _recordTreasury(TreasuryEntryKind.Withdrawal, address(0), to, amount, 0);
+
+        (bool sent, ) = payable(to).call{value: amount}("");
+        require(sent, "Transfer failed");
+
+        emit PlatformFeesWithdrawn(to, amount);
     }
 
-    /// @notice Check if user has voted
-    function hasUserVoted(uint256 proposalId, address user) external view returns (bool) {
-        return hasVoted[proposalId][user];
+    /// @notice Deposit ERC20 tokens into the treasury; the caller must have approved this contract
+    /// @dev The amount actually received is recorded, so fee-on-transfer tokens are accounted correctly
+    /// @param token ERC20 token
+    /// @param amount Amount to transfer from the caller
+    function depositTreasuryToken(address token, uint256 amount) external validAddress(token) {
+        require(amount > 0, "Invalid amount");
+
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+
+        _recordTreasury(TreasuryEntryKind.Deposit, token, msg.sender, received, 0);
     }
 
-    /// @notice Check if user has claimed refund
-    function hasUserClaimed(uint256 proposalId, address user) external view returns (bool) {
-        return hasClaimed[proposalId][user];
+    /// @notice Limit how much of an asset a single proposal can spend from the treasury
+    /// @param token ERC20 token, or address(0) for ETH
+    /// @param cap Per-proposal limit; 0 removes it
+    function setSpendingCap(address token, uint256 cap) external onlyRole(TREASURER_ROLE) {
+        spendingCaps[token] = cap;
+        emit SpendingCapUpdated(token, cap);
     }
 
-    /// @notice Get voting status with comprehensive state info
-    function getVotingStatus(uint256 proposalId) external view proposalExists(proposalId) returns (string memory) {
-        Proposal storage proposal = proposals[proposalId];
+    /// @notice Send ETH the contract holds but owes no one, e.g. forced in by selfdestruct or left by rounding
+    /// @dev Treasury ETH, stakes and the reward pool are never touched; see getAccounting
+    /// @param to Recipient address
+    function sweepUnallocated(address to) external onlyRole(TREASURER_ROLE) validAddress(to) {
+        uint256 amount = _unallocatedBalance();
+        require(amount > 0, "Nothing to sweep");
+
+        (bool sent, ) = payable(to).call{value: amount}("");
+        require(sent, "Transfer failed");
 
-        if (!proposal.active) return "Proposal not active";
-        if (proposal.executed) return "Executed";
-        if (proposal.refundEnabled) return "Refunds enabled";
-        if (proposal.isResolved) return "Awaiting execution";
-        if (proposal.decryptionRequestId > 0) return "Decryption pending";
-        if (block.timestamp < proposal.votingEnd) return "Voting in progress";
-        return "Awaiting decryption";
+        emit UnallocatedSwept(to, amount);
     }
 
-    /// @notice Get decryption status
-    function getDecryptionStatus(uint256 proposalId) external view proposalExists(proposalId) returns (
-        bool requested,
-        bool completed,
-        bool timedOut,
-        uint256 requestTime,
-        uint256 timeElapsed
-    ) {
-        Proposal storage proposal = proposals[proposalId];
-        requested = proposal.decryptionRequestId > 0;
-        completed = proposal.isResolved;
+    /// @notice Get the treasury balance of an asset
+    /// @param token ERC20 token, or address(0) for ETH
+    function getTreasuryBalance(address token) external view returns (uint256) {
+        return _treasuryBalance(token);
+    }
 
-        if (requested && !completed) {
-            timeElapsed = block.timestamp - proposal.decryptionRequestTime;
-            timedOut = timeElapsed >= DECRYPTION_TIMEOUT;
+    /// @notice Get the total recorded per ledger entry kind for an asset
+    /// @param token ERC20 token, or address(0) for ETH
+    /// @return totals Amounts indexed by TreasuryEntryKind
+    function getTreasuryTotals(address token) external view returns (uint256[] memory totals) {
+        totals = new uint256[](uint256(type(TreasuryEntryKind).max) + 1);
+        for (uint i = 0; i < totals.length; i++) {
+            totals[i] = treasuryTotals[token][TreasuryEntryKind(i)];
         }
+    }
 
-        return (requested, completed, timedOut, proposal.decryptionRequestTime, timeElapsed);
+    /// @notice Get the per-proposal spending cap of an asset (0 when unlimited)
+    function getSpendingCap(address token) external view returns (uint256) {
+        return spendingCaps[token];
     }
 
-    /// @notice Get current block timestamp
-    function getCurrentTime() external view returns (uint256) {
-        return block.timestamp;
+    /// @notice Get how much of an asset a proposal has spent from the treasury
+    function getProposalSpending(uint256 proposalId, address token) external view returns (uint256) {
+        return proposalSpending[proposalId][token];
     }
 
-    /// @notice Get user stake for a proposal
-    function getUserStake(uint256 proposalId, address user) external view returns (uint256) {
-        return userStake[proposalId][user];
+    /// @notice Break the contract's ETH balance down into what it is held for; the five amounts sum to the balance
+    /// @return treasury Treasury ETH (treasuryEth): fees, donations and slashed stakes
+    /// @return lockedStakes Stakes of proposals that have not yet released them
+    /// @return claimableRefunds Released stakes and rewards not yet withdrawn or refunded
+    /// @return rewardPool Slashed stakes awaiting redistribution (stakeRewardPool)
+    /// @return unallocated ETH owed to no one, which sweepUnallocated can recover
+    function getAccounting() external view returns (
+        uint256 treasury,
+        uint256 lockedStakes,
+        uint256 claimableRefunds,
+        uint256 rewardPool,
+        uint256 unallocated
+    ) {
+        return (treasuryEth, totalLockedStakes, totalClaimableRefunds, stakeRewardPool, _unallocatedBalance());
+    }
+
+    /// @notice ETH balance beyond every tracked bucket
+    function _unallocatedBalance() internal view returns (uint256) {
+        uint256 owed = treasuryEth + totalLockedStakes + totalClaimableRefunds + stakeRewardPool;
+        return address(this).balance > owed ? address(this).balance - owed : 0;
     }
 
     /*//////////////////////////////////////////////////////////////
-                        EMERGENCY FUNCTIONS
+                           EXTENSION ROUTING
     //////////////////////////////////////////////////////////////*/
 
-    /// @notice Emergency function to enable refunds (owner only)
-    /// @param proposalId Proposal ID
-    function emergencyEnableRefund(uint256 proposalId) external onlyOwner proposalExists(proposalId) {
-        proposals[proposalId].refundEnabled = true;
-        emit DecryptionFailed(proposalId, "Emergency refund enabled by owner");
+    /// @notice Receive ETH as a treasury donation
+    receive() external payable {
+        _recordTreasury(TreasuryEntryKind.Donation, address(0), msg.sender, msg.value, 0);
     }
 
-    /// @notice Receive ETH
-    receive() external payable {}
-
-    /// @notice Fallback
-    fallback() external payable {}
+    /// @notice Forward every other call to the extension, which shares this contract's storage
+    fallback() external payable {
+        address target = extension;
+
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let result := delegatecall(gas(), target, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+
+            switch result
+            case 0 {
+                revert(ptr, returndatasize())
+            }
+            default {
+                return(ptr, returndatasize())
+            }
+        }
+    }
 }
@@ -0,0 +1,752 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, euint128, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { MerkleProof } from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import { IVotingPowerSource } from "./interfaces/IVotingPowerSource.sol";
+
+/// @title SecureDAOVoting Shared Storage
+/// @notice State, events, modifiers and helpers shared by SecureDAOVoting and its extensions
+/// @dev The extensions run via delegatecall against SecureDAOVoting's storage, so all four contracts take their
+///      storage layout from here. New state variables must be appended after the existing ones.
+abstract contract SecureDAOVotingBase is SepoliaConfig, AccessControl {
+
+    /*//////////////////////////////////////////////////////////////
+                                STRUCTURES
+    //////////////////////////////////////////////////////////////*/
+
+    enum ApprovalThreshold {
+        SimpleMajority,          // More than 50% of cast weight
+        ThreeFifths,             // At least 60% of cast weight
+        TwoThirds                // At least 2/3 of cast weight
+    }
+
+    enum ProposalOutcome {
+        Pending,
+        QuorumNotMet,
+        ThresholdNotMet,
+        Passed,
+        Rejected                 // Outcome-only proposal that failed; whether quorum or threshold stays private
+    }
+
+    /// @dev A slash is sized by the stake of ballots that counted for no option and shared pro rata by every stake
+    ///      of the proposal, since charging it to single ballots would reveal which ones were empty
+    enum SettlementPolicy {
+        FullReturn,              // Stakes are always returned in full
+        Slash,                   // Stake of ballots that counted for no option is slashed into the treasury
+        Redistribute             // Those slashes reward voters of the next proposal with a quorum reaching it
+    }
+
+    enum GovernanceParameter {
+        VotingDuration,          // Default voting window for new proposals
+        RevealPeriod,            // Delay between voting end and execution
+        DecryptionTimeout,       // Wait before a Gateway request counts as timed out
+        MinVotingPower,          // Voting power needed to create a proposal
+        MinStake,                // Smallest stake accepted with a ballot
+        PlatformFee,             // Fee charged per proposal
+        TimelockDelay,           // Wait between queueing a passed proposal and executing it
+        GracePeriod,             // Window after the timelock in which a queued proposal can be executed
+        VotingDelay,             // Minimum review time between creation and the start of voting
+        SettlementPolicy,        // Stake settlement for new proposals, a SettlementPolicy value
+        SlashBps,                // Share of the empty ballots' stake slashed for new proposals
+        MaxDecryptionAttempts    // Gateway requests a proposal gets before refunds can be triggered
+    }
+
+    /// @dev Inflow kinds come first, see _recordTreasury
+    enum TreasuryEntryKind {
+        Fee,                     // Platform fee paid at proposal creation
+        Donation,                // ETH sent to donate() or receive()
+        Deposit,                 // ERC20 tokens deposited with depositTreasuryToken
+        Slash,                   // Stakes slashed under SettlementPolicy.Slash
+        FeeRefund,               // Fee returned to a creator who cancelled
+        Withdrawal,              // Withdrawn by a treasurer
+        Spend                    // Paid out by a passed proposal
+    }
+
+    /// @dev Machine-readable counterpart of getVotingStatus, in the same precedence order
+    enum ProposalState {
+        Pending,                 // Created; voting has not started
+        Active,                  // Accepting ballots
+        AwaitingDecryption,      // Voting ended; no reveal requested yet
+        DecryptionPending,       // Gateway request outstanding
+        AwaitingExecution,       // Resolved; not queued yet
+        Queued,                  // Passed and queued behind the timelock
+        Executed,
+        Expired,                 // Stakes released without execution
+        RefundsEnabled,          // Decryption failed; stakes are refunded in full
+        Paused,                  // Paused by a pauser
+        Cancelled,
+        Vetoed
+    }
+
+    struct Proposal {
+        uint256 id;
+        string title;
+        string description;
+        address creator;
+        uint256 createdAt;
+        uint256 votingEnd;
+        string[] options;        // Option labels; the first approves, Abstain comes last when enabled
+        euint64[] optionVotes;   // FHE-encrypted vote tally per option
+        uint64[] revealedVotes;  // Decrypted tally per option, filled on resolution
+        uint256 totalVoters;
+        uint256 totalStaked;     // Total ETH staked by voters
+        bool executed;
+        bool active;
+        bool isResolved;         // Decryption completed
+        bool refundEnabled;      // Enable refunds if decryption fails
+        ProposalOutcome outcome; // Set on execution
+        uint256 stakeReward;     // Redistributed stake shared by this proposal's voters
+        uint256 eta;             // Earliest execution time once queued; 0 until then
+        bool cancelled;          // Cancelled before execution; stakes are released in full
+        bool vetoed;             // Cancelled by the guardian council
+        uint256 votingStart;     // Ballots are accepted from this time until votingEnd
+        euint128 emptyStake;     // Encrypted stake of ballots that count for no option: zero weight or out of range
+        bool participationChecked; // emptyStake has been decrypted and the slash taken
+        uint256 slashedStake;    // Slash shared by all of this proposal's stakes
+        ProposalSettings settings; // Fixed at creation; new per-proposal configuration goes here
+        DecryptionState decryption;
+    }
+
+    struct WeightCheckpoint {
+        uint64 fromBlock;
+        uint192 weight;
+    }
+
+    struct EncryptedWeightCheckpoint {
+        uint64 fromBlock;
+        euint64 weight;
+    }
+
+    struct Ballot {
+        euint64[] votes;         // Weight this voter added to each option tally
+        euint64 maxWeight;       // Own plus delegated weight, fixed at the first ballot
+        euint128 emptyStake;     // The voter's stake if the ballot counts for no option, else zero
+    }
+
+    struct ProposalConfig {
+        uint16 quorumBps;        // 0 disables the quorum check
+        ApprovalThreshold threshold;
+        bool confidentialWeights; // Cap ballots with encrypted weights instead of the public source
+        string[] options;        // Option labels, first one approving; empty for Yes/No
+        bool allowAbstain;       // Append an Abstain option
+        bool outcomeOnly;        // Keep tallies secret and decrypt only whether the proposal passed
+        uint256 votingDuration;  // 0 uses the current default
+        uint256 votingStart;     // 0 opens voting once the minimum review delay has passed
+    }
+
+    struct ProposalAction {
+        address target;          // Contract or account to call
+        uint256 value;           // ETH forwarded with the call
+        bytes data;              // Calldata (empty for plain transfers)
+    }
+
+    struct PendingParameterChange {
+        uint256 value;
+        uint256 eta;             // Earliest time the change can be applied; 0 when nothing is scheduled
+    }
+
+    struct ProposalInfo {
+        uint256 id;
+        string title;
+        string description;
+        address creator;
+        uint256 createdAt;
+        uint256 votingStart;
+        uint256 votingEnd;
+        uint64 yesVotes;         // First option tally; 0 until revealed
+        uint64 noVotes;          // Second option tally; 0 until revealed
+        uint256 totalVoters;
+        uint256 totalStaked;
+        bool executed;
+        bool active;
+        bool isResolved;
+        bool refundEnabled;
+        bool cancelled;
+        bool vetoed;
+        uint256 eta;
+        ProposalOutcome outcome;
+        string[] options;
+        uint64[] optionVotes;    // Empty until the tallies are revealed
+    }
+
+    struct ProposalSettings {
+        uint16 quorumBps;        // Required participation, in basis points of total weight
+        uint256 quorumVotes;     // Quorum in weight units
+        ApprovalThreshold threshold;
+        SettlementPolicy settlementPolicy; // Policy in force at creation
+        uint16 slashBps;         // Slash rate in force at creation
+        uint256 snapshotBlock;   // Voter weights are read as of this block
+        IVotingPowerSource powerSource; // Source in force at creation
+        bool confidentialWeights; // Weights come from the encrypted registry
+        bool allowAbstain;       // Last option is Abstain: counts toward quorum, not approval
+        bool outcomeOnly;        // Only the encrypted pass/fail result is decrypted
+        uint256 votingDuration;  // Voting window chosen at creation
+        uint256 weightEpoch;     // Merkle weight epoch in force at creation; 0 without a root or registry weights
+        uint256 feePaid;         // Platform fee charged at creation, refunded if the creator cancels
+    }
+
+    struct DecryptionState {
+        uint256 requestId;       // Current Gateway request; IDs start at 0, so attempts marks a request
+        uint256 requestTime;     // For timeout tracking
+        uint8 attempts;          // Requests issued so far, including retries
+        bool outcomePassed;      // Decrypted result of an outcome-only proposal
+    }
+
+    struct ProposalSummary {
+        uint256 id;
+        string title;
+        string description;
+        address creator;
+        uint256 votingStart;
+        uint256 votingEnd;
+        uint256 totalVoters;
+        uint256 totalStaked;
+        ProposalState state;
+        ProposalOutcome outcome;
+        uint64[] optionVotes;    // Empty until the tallies are revealed
+    }
+
+    struct VoterParticipation {
+        uint256 proposalId;
+        bool voted;
+        address representedBy;   // Delegate whose ballot counted this voter's weight, if any
+        uint256 stake;
+        bool claimed;            // Stake withdrawn or refunded
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            STATE VARIABLES
+    //////////////////////////////////////////////////////////////*/
+
+    mapping(uint256 => Proposal) internal proposals;
+    mapping(address => uint256) public voterWeight;         // Current weight
+    mapping(address => WeightCheckpoint[]) internal weightHistory; // Block-indexed weight history
+    mapping(address => EncryptedWeightCheckpoint[]) internal encryptedWeightHistory; // Confidential weights
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+    mapping(uint256 => mapping(address => bool)) internal hasClaimed;
+    mapping(uint256 => mapping(address => uint256)) internal userStake; // Track individual stakes
+    mapping(uint256 => mapping(address => Ballot)) internal ballots; // Counted contribution per voter
+    mapping(uint256 => uint256) internal proposalIdByRequestId;
+    mapping(uint256 => ProposalAction[]) internal proposalActions;
+    mapping(address => address) public delegates;          // Delegator => delegatee
+    mapping(address => address[]) internal delegators;     // Delegatee => delegators
+    mapping(address => uint256) internal delegatorIndex;   // Position in the delegatee's delegators array
+    mapping(uint256 => mapping(address => address)) public representedBy; // Delegatee that voted for a delegator
+
+    uint256 public proposalCount;
+    uint256 public constant MIN_VOTING_DURATION = 1 days;
+    uint256 public constant MAX_VOTING_DURATION = 30 days;
+    uint256 public constant MAX_VOTING_DELAY = 30 days; // Latest voting start, counted from creation
+    uint256 public constant PARAMETER_TIMELOCK = 2 days; // Delay on owner-initiated parameter changes
+    uint256 public constant MAX_ACTIONS = 10;
+    uint256 public constant MAX_OPTIONS = 8; // Including Abstain
+    uint16 public constant MAX_BPS = 10_000;
+    uint256 public constant MAX_DELEGATORS = 50;
+    // Cap on a confidential weight, own plus delegated, so encrypted sums cannot wrap: a euint64 tally
+    // would need 2^32 ballots at the cap to overflow
+    uint64 public constant MAX_ENCRYPTED_WEIGHT = type(uint32).max;
+    uint8 public constant MAX_DECRYPTION_ATTEMPTS = 10;
+    uint256 public constant MAX_PAGE_SIZE = 100; // Proposals per paginated view call
+    uint256 public constant MAX_BATCH_CIPHERTEXTS = 32; // Gateway requests are capped at 2048 bits (32 x euint64)
+    uint256 public constant STAKE_EXPIRY_PERIOD = 30 days; // After votingEnd, unexecuted proposals release stakes
+
+    bytes32 public constant WEIGHT_MANAGER_ROLE = keccak256("WEIGHT_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    address public owner;
+    address public pendingOwner;
+    bool public votingOpen;
+    uint256 public treasuryEth; // Treasury ETH: fees, slashed stakes and donations, less refunds and spending
+    uint256 public totalVoterWeight; // Sum of all registered voter weights
+    WeightCheckpoint[] internal totalWeightHistory;
+    SettlementPolicy public settlementPolicy;
+    uint16 public slashBps;
+    uint256 public stakeRewardPool;  // Slashed stakes awaiting redistribution
+    IVotingPowerSource public votingPowerSource; // This contract when the built-in registry is used
+
+    // Privacy protection: random multiplier to prevent division leakage
+    uint256 internal randomMultiplier;
+
+    uint8 public maxDecryptionAttempts; // Gateway requests allowed before refunds can be triggered
+    mapping(uint256 => uint256[]) internal batchProposalIds; // Batched request ID => proposals, in ciphertext order
+
+    // Governance parameters, see GovernanceParameter
+    uint256 public votingDuration;
+    uint256 public revealPeriod;
+    uint256 public decryptionTimeout;
+    uint256 public minVotingPower;
+    uint256 public minStake;
+    uint256 public platformFee;
+    uint256 public timelockDelay;
+    uint256 public gracePeriod;
+    address public guardianCouncil; // May veto resolved proposals; address(0) disables vetoes
+    uint256 public votingDelay;
+    mapping(GovernanceParameter => PendingParameterChange) public pendingParameterChanges;
+    mapping(address => uint256) public nonces; // Next voteBySig nonce per voter
+
+    // Merkle weight epochs: each published root lists (address, weight) for the whole membership
+    uint256 public weightEpoch;
+    mapping(uint256 => bytes32) internal weightRoots;
+    mapping(uint256 => uint256) internal weightRootTotals; // Sum of all weights in the epoch's tree
+    mapping(uint256 => mapping(address => bool)) internal weightClaimed;
+
+    // Treasury; address(0) stands for ETH, whose balance is treasuryEth
+    uint256 public treasuryEntryCount; // Ledger entries recorded, see TreasuryEntryRecorded
+    mapping(address => mapping(TreasuryEntryKind => uint256)) internal treasuryTotals;
+    mapping(address => uint256) internal treasuryTokenBalances;
+    mapping(address => uint256) internal spendingCaps; // Per-proposal spending limit per asset; 0 means no limit
+    mapping(uint256 => mapping(address => uint256)) internal proposalSpending;
+    uint256 internal latestVotingEnd; // Latest voting end of any proposal, see setVotingPowerSource
+    uint256 internal executingProposalId; // Set while a proposal's actions run
+
+    // ETH accounting; with treasuryEth and stakeRewardPool these are all the ETH the contract owes
+    uint256 internal totalLockedStakes; // Stakes of proposals whose stakes are not yet released
+    uint256 internal totalClaimableRefunds; // Released stakes and rewards voters have yet to withdraw or claim
+    mapping(uint256 => bool) internal stakesReleased;
+
+    // Part of treasuryEth only a treasurer may withdraw: platform fees not yet refunded or withdrawn.
+    // Proposals spend the rest of the treasury's ETH, i.e. donations and slashed stakes.
+    uint256 public protocolFees;
+    // Part of protocolFees its creators may still get back by cancelling, see _releaseFeeReserve
+    uint256 public reservedFees;
+
+    // Per-proposal claims, so the rounding dust left once every stake is claimed can be moved out of the refunds
+    mapping(uint256 => uint256) internal claimedStake; // Stake withdrawn or refunded so far
+    mapping(uint256 => uint256) internal paidStake; // What left the claimable bucket: payouts and slashes
+
+    mapping(uint256 => uint256) internal participationChecks; // Gateway request ID => proposal ID
+
+    mapping(address => address) public pendingDelegates; // Delegator => delegatee yet to accept
+
+    /*//////////////////////////////////////////////////////////////
+                                 EVENTS
+    //////////////////////////////////////////////////////////////*/
+
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        string title,
+        address creator,
+        uint256 votingStart,
+        uint256 votingEnd,
+        uint256 votingDuration
+    );
+    event VoteCommitted(uint256 indexed proposalId, address indexed voter, uint256 stake);
+    event VoteChanged(uint256 indexed proposalId, address indexed voter, uint256 stake);
+    event VoteRelayed(uint256 indexed proposalId, address indexed voter, address indexed relayer, uint256 nonce);
+    event VoteRevealed(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight);
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+    event ProposalCancelled(uint256 indexed proposalId, address indexed by);
+    event ProposalVetoed(uint256 indexed proposalId, string reason);
+    event ProposalPaused(uint256 indexed proposalId);
+    event ProposalUnpaused(uint256 indexed proposalId);
+    event ProposalExecuted(uint256 indexed proposalId, bool passed, ProposalOutcome outcome);
+    event ActionExecuted(uint256 indexed proposalId, uint256 index, address target, uint256 value, bytes result);
+    event DecryptionRequested(uint256 indexed proposalId, uint256 requestId);
+    event DecryptionRetried(uint256 indexed proposalId, uint256 previousRequestId, uint256 requestId, uint8 attempt);
+    event DecryptionCompleted(uint256 indexed proposalId, uint64[] optionVotes);
+    event OutcomeRevealed(uint256 indexed proposalId, bool passed);
+    event DecryptionFailed(uint256 indexed proposalId, string reason);
+    event RefundIssued(uint256 indexed proposalId, address indexed voter, uint256 amount);
+    event PlatformFeesWithdrawn(address indexed to, uint256 amount);
+    event TreasuryEntryRecorded(
+        uint256 indexed entryId,
+        TreasuryEntryKind indexed kind,
+        address indexed token,
+        address account,
+        uint256 amount,
+        uint256 proposalId
+    );
+    event SpendingCapUpdated(address indexed token, uint256 cap);
+    event UnallocatedSwept(address indexed to, uint256 amount);
+    event VoterWeightSet(address indexed voter, uint256 weight);
+    event WeightRootPublished(uint256 indexed epoch, bytes32 root, uint256 totalWeight);
+    event WeightClaimed(uint256 indexed epoch, address indexed account, uint256 weight);
+    event TimeoutRefundTriggered(uint256 indexed proposalId, uint256 timeElapsed);
+    event StakesSlashed(uint256 indexed proposalId, uint256 amount);
+    event StakeRewardAllocated(uint256 indexed proposalId, uint256 amount);
+    event StakeDustReclaimed(uint256 indexed proposalId, uint256 amount);
+    event ParticipationCheckRequested(uint256 indexed proposalId, uint256 requestId);
+    event ParticipationChecked(uint256 indexed proposalId, uint256 emptyStake);
+    event StakeWithdrawn(uint256 indexed proposalId, address indexed voter, uint256 amount);
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegationRequested(address indexed delegator, address indexed delegatee);
+    event DelegationRejected(address indexed delegator, address indexed delegatee);
+    event VotingPowerSourceUpdated(address indexed source);
+    event EncryptedVoterWeightSet(address indexed voter);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event VotingOpenUpdated(bool open);
+    event ParameterUpdated(GovernanceParameter indexed parameter, uint256 value);
+    event ParameterChangeScheduled(GovernanceParameter indexed parameter, uint256 value, uint256 eta);
+    event ParameterChangeCancelled(GovernanceParameter indexed parameter);
+    event GuardianCouncilUpdated(address indexed council);
+
+    /*//////////////////////////////////////////////////////////////
+                                MODIFIERS
+    //////////////////////////////////////////////////////////////*/
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner");
+        _;
+    }
+
+    modifier votingIsOpen() {
+        require(votingOpen, "Voting system closed");
+        _;
+    }
+
+    modifier proposalExists(uint256 proposalId) {
+        require(proposalId > 0 && proposalId <= proposalCount, "Proposal does not exist");
+        _;
+    }
+
+    /// @dev Only a passed proposal's action, which executeProposal calls from this contract
+    modifier onlyGovernance() {
+        require(msg.sender == address(this), "Only governance");
+        _;
+    }
+
+    modifier validAddress(address addr) {
+        require(addr != address(0), "Invalid address");
+        _;
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            INTERNAL HELPERS
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Binary search for the value in force at a block
+    function _checkpointAt(WeightCheckpoint[] storage history, uint256 blockNumber) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = history.length;
+
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (history[mid].fromBlock > blockNumber) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        return high == 0 ? 0 : history[high - 1].weight;
+    }
+
+    /// @notice Binary search for the encrypted weight in force at a block
+    /// @dev Returns an uninitialized handle for voters without a confidential weight at that block
+    function _encryptedWeightAt(address voter, uint256 blockNumber) internal view returns (euint64) {
+        EncryptedWeightCheckpoint[] storage history = encryptedWeightHistory[voter];
+        uint256 low = 0;
+        uint256 high = history.length;
+
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (history[mid].fromBlock > blockNumber) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        euint64 weight;
+        if (high > 0) {
+            weight = history[high - 1].weight;
+        }
+        return weight;
+    }
+
+    /// @notice Read voting power from a source, short-circuiting the built-in registry
+    function _votingPowerAt(
+        IVotingPowerSource source,
+        address account,
+        uint256 blockNumber
+    ) internal view returns (uint256) {
+        if (address(source) == address(this)) return _checkpointAt(weightHistory[account], blockNumber);
+        return source.getVotingPower(account, blockNumber);
+    }
+
+    /// @notice Read total voting power from a source, short-circuiting the built-in registry
+    function _totalVotingPowerAt(IVotingPowerSource source, uint256 blockNumber) internal view returns (uint256) {
+        if (address(source) == address(this)) return _checkpointAt(totalWeightHistory, blockNumber);
+        return source.getTotalVotingPower(blockNumber);
+    }
+
+    /// @notice Treasury balance of an asset; address(0) for ETH
+    function _treasuryBalance(address token) internal view returns (uint256) {
+        return token == address(0) ? treasuryEth : treasuryTokenBalances[token];
+    }
+
+    /// @notice Apply a treasury inflow or outflow to the asset's balance and add it to the ledger
+    /// @dev Callers check outflows against the balance first; zero amounts are not recorded
+    /// @param account Payer for inflows, recipient for outflows; address(0) when there is none
+    /// @param proposalId Related proposal, or 0
+    function _recordTreasury(
+        TreasuryEntryKind kind,
+        address token,
+        address account,
+        uint256 amount,
+        uint256 proposalId
+    ) internal {
+        if (amount == 0) return;
+
+        bool inflow = kind <= TreasuryEntryKind.Slash;
+        if (token == address(0)) {
+            treasuryEth = inflow ? treasuryEth + amount : treasuryEth - amount;
+            if (kind == TreasuryEntryKind.Fee) {
+                protocolFees += amount;
+            } else if (kind == TreasuryEntryKind.FeeRefund || kind == TreasuryEntryKind.Withdrawal) {
+                protocolFees -= amount;
+            }
+        } else {
+            uint256 balance = treasuryTokenBalances[token];
+            treasuryTokenBalances[token] = inflow ? balance + amount : balance - amount;
+        }
+        treasuryTotals[token][kind] += amount;
+
+        emit TreasuryEntryRecorded(treasuryEntryCount++, kind, token, account, amount, proposalId);
+    }
+
+    /// @notice Whether a token was ever deposited into the treasury
+    /// @dev Proposal actions may not call such tokens directly: a transfer or approval would move treasury tokens
+    ///      past the ledger and spending caps, which treasuryTransfer applies
+    function _isTreasuryToken(address token) internal view returns (bool) {
+        return treasuryTotals[token][TreasuryEntryKind.Deposit] > 0;
+    }
+
+    /// @notice Account for stake paid into a proposal
+    function _addStake(uint256 proposalId, uint256 amount) internal {
+        if (stakesReleased[proposalId]) {
+            totalClaimableRefunds += amount;
+        } else {
+            totalLockedStakes += amount;
+        }
+    }
+
+    /// @notice Move a proposal's stakes from locked to claimable once voters can take them back
+    /// @dev Called on execution, cancellation, veto and refund enablement; expired proposals are released on their
+    ///      first withdrawal. Settlement then moves slashes out of and rewards into the claimable bucket.
+    function _releaseStakes(uint256 proposalId) internal {
+        if (stakesReleased[proposalId]) return;
+        stakesReleased[proposalId] = true;
+
+        uint256 staked = proposals[proposalId].totalStaked;
+        totalLockedStakes -= staked;
+        totalClaimableRefunds += staked;
+    }
+
+    /// @notice Pay a voter's settled stake out of the claimable bucket
+    /// @dev Reward shares round down, so once the last stake is claimed the remainder goes where the proposal's
+    ///      slashes go
+    /// @param proposalId Proposal ID
+    /// @param stake Stake the voter paid
+    /// @param amount Settled amount paid to the voter
+    function _payOutStake(uint256 proposalId, uint256 stake, uint256 amount) internal {
+        Proposal storage proposal = proposals[proposalId];
+        totalClaimableRefunds -= amount;
+
+        uint256 claimed = claimedStake[proposalId] += stake;
+        uint256 paid = paidStake[proposalId] += amount;
+        if (claimed < proposal.totalStaked) return;
+
+        uint256 dust = proposal.totalStaked + proposal.stakeReward - paid;
+        if (dust == 0) return;
+
+        _moveSlashed(proposalId, dust);
+        emit StakeDustReclaimed(proposalId, dust);
+    }
+
+    /// @notice Move slashed stake out of the claimable bucket: to the treasury under Slash, else the reward pool
+    function _moveSlashed(uint256 proposalId, uint256 amount) internal {
+        totalClaimableRefunds -= amount;
+        paidStake[proposalId] += amount;
+        if (proposals[proposalId].settings.settlementPolicy == SettlementPolicy.Slash) {
+            _recordTreasury(TreasuryEntryKind.Slash, address(0), address(0), amount, proposalId);
+        } else {
+            stakeRewardPool += amount;
+        }
+    }
+
+    /// @notice Whether stakes on an executed proposal wait for requestParticipationCheck
+    function _awaitsParticipationCheck(uint256 proposalId) internal view returns (bool) {
+        Proposal storage proposal = proposals[proposalId];
+        return proposal.executed
+            && proposal.settings.settlementPolicy != SettlementPolicy.FullReturn
+            && proposal.totalStaked > 0
+            && !proposal.participationChecked;
+    }
+
+    /// @notice Check a Merkle proof that the epoch's tree lists account with weight
+    /// @dev Leaves are double-hashed abi.encode(account, weight), as built by scripts/lib/weightTree.js
+    function _verifyWeight(
+        uint256 epoch,
+        address account,
+        uint256 weight,
+        bytes32[] calldata proof
+    ) internal view returns (bool) {
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, weight))));
+        return MerkleProof.verifyCalldata(proof, weightRoots[epoch], leaf);
+    }
+
+    /// @notice Evaluate quorum and approval threshold against the revealed tallies
+    /// @dev Multiplication-only comparisons avoid division rounding
+    function _determineOutcome(Proposal storage proposal) internal view returns (ProposalOutcome) {
+        if (proposal.settings.outcomeOnly) {
+            return proposal.decryption.outcomePassed ? ProposalOutcome.Passed : ProposalOutcome.Rejected;
+        }
+
+        uint64[] storage votes = proposal.revealedVotes;
+        uint256 decisive = proposal.settings.allowAbstain ? votes.length - 1 : votes.length;
+
+        uint256 cast;
+        for (uint i = 0; i < decisive; i++) {
+            cast += votes[i];
+        }
+        uint256 abstained = proposal.settings.allowAbstain ? votes[decisive] : 0;
+
+        // Abstentions count toward quorum but not toward approval
+        if (cast + abstained < proposal.settings.quorumVotes) return ProposalOutcome.QuorumNotMet;
+        if (cast == 0) return ProposalOutcome.ThresholdNotMet;
+
+        // The first option is the approving one; all other options count against it
+        uint256 yes = votes[0];
+        bool approved;
+        if (proposal.settings.threshold == ApprovalThreshold.TwoThirds) {
+            approved = yes * 3 >= cast * 2;
+        } else if (proposal.settings.threshold == ApprovalThreshold.ThreeFifths) {
+            approved = yes * 5 >= cast * 3;
+        } else {
+            approved = yes * 2 > cast;
+        }
+
+        return approved ? ProposalOutcome.Passed : ProposalOutcome.ThresholdNotMet;
+    }
+
+    /// @notice Amount a voter receives for their stake under the proposal's settlement
+    /// @dev Every stake bears its pro rata share of the proposal's slash and earns its share of the reward
+    function _settledStake(uint256 proposalId, address voter) internal view returns (uint256) {
+        Proposal storage proposal = proposals[proposalId];
+        uint256 stake = userStake[proposalId][voter];
+        if (!proposal.executed) return stake; // Cancelled or expired without execution: full return
+
+        // The slash share rounds up and the reward share down, so payouts never exceed what the proposal holds
+        uint256 slash = (proposal.slashedStake * stake + proposal.totalStaked - 1) / proposal.totalStaked;
+        return stake - slash + (proposal.stakeReward * stake) / proposal.totalStaked;
+    }
+
+    /// @notice Stake remaining after the proposal's slash rate, rounded down
+    function _applySlash(Proposal storage proposal, uint256 stake) internal view returns (uint256) {
+        return (stake * (MAX_BPS - proposal.settings.slashBps)) / MAX_BPS;
+    }
+
+    /// @notice Let withdrawPlatformFees take a proposal's fee once its creator can no longer cancel it
+    /// @dev Called at the first ballot and the tally reveal request, the only ways past the cancellation window
+    ///      short of cancelling. A proposal nobody votes on keeps its fee reserved until someone reveals it.
+    function _releaseFeeReserve(Proposal storage proposal) internal {
+        if (proposal.totalVoters == 0) reservedFees -= proposal.settings.feePaid;
+    }
+
+    /// @notice Whether a proposal was left unexecuted past its grace period, or past STAKE_EXPIRY_PERIOD if never queued
+    function _isExpired(Proposal storage proposal) internal view returns (bool) {
+        if (proposal.executed || proposal.cancelled) return false;
+        if (proposal.eta > 0) return block.timestamp > proposal.eta + gracePeriod;
+        return block.timestamp >= proposal.votingEnd + STAKE_EXPIRY_PERIOD;
+    }
+
+    /// @notice Whether voters can take their stakes back
+    function _stakeReleased(Proposal storage proposal) internal view returns (bool) {
+        return proposal.executed || proposal.cancelled || _isExpired(proposal);
+    }
+
+    /// @notice Ciphertexts to decrypt: one per option tally, or the encrypted result for outcome-only proposals
+    function _revealCiphertexts(Proposal storage proposal) internal returns (bytes32[] memory cts) {
+        if (proposal.settings.outcomeOnly) {
+            cts = new bytes32[](1);
+            cts[0] = FHE.toBytes32(_encryptedOutcome(proposal));
+            return cts;
+        }
+
+        uint256 optionCount = proposal.optionVotes.length;
+        cts = new bytes32[](optionCount);
+        for (uint i = 0; i < optionCount; i++) {
+            cts[i] = FHE.toBytes32(proposal.optionVotes[i]);
+        }
+    }
+
+    /// @notice Evaluate quorum and approval threshold without decrypting the tallies
+    /// @dev Mirrors _determineOutcome homomorphically. Sums and multiples are taken in 128 bits so they cannot
+    ///      wrap; the thresholds are rearranged against the opposing weight (yes >= 2 * against is 2/3 of cast).
+    function _encryptedOutcome(Proposal storage proposal) internal returns (ebool passed) {
+        uint256 optionCount = proposal.optionVotes.length;
+        uint256 decisive = proposal.settings.allowAbstain ? optionCount - 1 : optionCount;
+
+        euint128 yes = FHE.asEuint128(proposal.optionVotes[0]);
+        euint128 against = FHE.asEuint128(proposal.optionVotes[1]);
+        for (uint i = 2; i < decisive; i++) {
+            against = FHE.add(against, FHE.asEuint128(proposal.optionVotes[i]));
+        }
+
+        euint128 participation = FHE.add(yes, against);
+        if (proposal.settings.allowAbstain) {
+            participation = FHE.add(participation, FHE.asEuint128(proposal.optionVotes[decisive]));
+        }
+
+        ebool approved;
+        if (proposal.settings.threshold == ApprovalThreshold.TwoThirds) {
+            approved = FHE.ge(yes, FHE.mul(against, 2));
+        } else if (proposal.settings.threshold == ApprovalThreshold.ThreeFifths) {
+            approved = FHE.ge(FHE.mul(yes, 2), FHE.mul(against, 3));
+        } else {
+            approved = FHE.gt(yes, against);
+        }
+
+        // A proposal without any decisive weight never passes, as in _determineOutcome
+        approved = FHE.and(approved, FHE.gt(yes, uint128(0)));
+        passed = FHE.and(FHE.ge(participation, uint128(proposal.settings.quorumVotes)), approved);
+        FHE.allowThis(passed);
+    }
+
+    /// @notice Record a Gateway request issued for the proposal
+    function _recordRequest(uint256 proposalId, Proposal storage proposal, uint256 requestId) internal {
+        proposal.decryption.requestId = requestId;
+        proposal.decryption.requestTime = block.timestamp;
+        proposal.decryption.attempts++;
+
+        emit DecryptionRequested(proposalId, requestId);
+    }
+
+    /// @notice Number of ciphertexts _revealCiphertexts produces for the proposal
+    function _revealCount(Proposal storage proposal) internal view returns (uint256) {
+        return proposal.settings.outcomeOnly ? 1 : proposal.optionVotes.length;
+    }
+
+    /// @notice Resolve a proposal from its decrypted values
+    /// @param offset Index of the proposal's first value within cleartexts
+    function _recordReveal(
+        uint256 proposalId,
+        Proposal storage proposal,
+        bytes calldata cleartexts,
+        uint256 offset
+    ) internal {
+        proposal.isResolved = true;
+
+        // Outcome-only proposals decrypt a single boolean and leave revealedVotes empty
+        if (proposal.settings.outcomeOnly) {
+            proposal.decryption.outcomePassed = uint256(bytes32(cleartexts[offset * 32:(offset + 1) * 32])) != 0;
+            emit OutcomeRevealed(proposalId, proposal.decryption.outcomePassed);
+        } else {
+            // Decode decrypted vote tallies and update the proposal
+            uint256 optionCount = proposal.optionVotes.length;
+            for (uint i = offset; i < offset + optionCount; i++) {
+                proposal.revealedVotes.push(uint64(uint256(bytes32(cleartexts[i * 32:(i + 1) * 32]))));
+            }
+        }
+
+        emit DecryptionCompleted(proposalId, proposal.revealedVotes);
+    }
+}
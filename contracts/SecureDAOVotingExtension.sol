@@ -0,0 +1,528 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, externalEuint64, euint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { IVotingPowerSource } from "./interfaces/IVotingPowerSource.sol";
+import { SecureDAOVotingBase } from "./SecureDAOVotingBase.sol";
+
+/// @title SecureDAOVoting Extension
+/// @notice Administration, weight registry, delegation, governance parameter and guardian functions of SecureDAOVoting
+/// @dev Deployed once and passed to the SecureDAOVoting constructor. SecureDAOVoting forwards calls it does not
+///      implement here via delegatecall, so these functions run against its storage with the caller's msg.sender.
+///      The built-in weight registry answers IVotingPowerSource queries made to the SecureDAOVoting address.
+///      Calls this contract does not implement either are forwarded the same way to SecureDAOVotingGovernanceExtension.
+contract SecureDAOVotingExtension is SecureDAOVotingBase, IVotingPowerSource {
+
+    /// @notice Contract that serves every call neither SecureDAOVoting nor this extension implements
+    address public immutable governanceExtension;
+
+    constructor(address _governanceExtension) validAddress(_governanceExtension) {
+        governanceExtension = _governanceExtension;
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            ADMIN FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Start a two-step ownership transfer
+    /// @dev Pass this contract's address to hand control to the DAO; a proposal action then calls acceptOwnership
+    /// @param newOwner Address that must call acceptOwnership
+    function transferOwnership(address newOwner) external onlyOwner validAddress(newOwner) {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    /// @notice Complete a pending ownership transfer, moving every role granted at deployment with it
+    /// @dev The previous owner keeps no operational power; holders granted roles separately keep theirs
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+
+        address previousOwner = owner;
+        owner = msg.sender;
+        delete pendingOwner;
+
+        bytes32[6] memory roles = [
+            DEFAULT_ADMIN_ROLE,
+            WEIGHT_MANAGER_ROLE,
+            PAUSER_ROLE,
+            TREASURER_ROLE,
+            EMERGENCY_ROLE,
+            GUARDIAN_ROLE
+        ];
+        for (uint i = 0; i < roles.length; i++) {
+            _revokeRole(roles[i], previousOwner);
+            _grantRole(roles[i], msg.sender);
+        }
+
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
+    /// @notice Set voter weight with input validation
+    /// @param voter Address of the voter
+    /// @param weight Voting weight (must be non-zero)
+    function setVoterWeight(
+        address voter,
+        uint256 weight
+    ) external onlyRole(WEIGHT_MANAGER_ROLE) validAddress(voter) {
+        require(weight > 0, "Weight must be positive");
+        require(weight <= 1e18, "Weight too large"); // Overflow protection
+        _setVoterWeight(voter, weight);
+    }
+
+    /// @notice Batch set voter weights with validation
+    /// @param voters Array of voter addresses
+    /// @param weights Array of voting weights
+    function setMultipleVoterWeights(
+        address[] memory voters,
+        uint256[] memory weights
+    ) external onlyRole(WEIGHT_MANAGER_ROLE) {
+        require(voters.length == weights.length, "Array length mismatch");
+        require(voters.length <= 100, "Batch too large"); // Gas optimization
+
+        for (uint i = 0; i < voters.length; i++) {
+            require(voters[i] != address(0), "Invalid address");
+            require(weights[i] > 0 && weights[i] <= 1e18, "Invalid weight");
+            _setVoterWeight(voters[i], weights[i]);
+        }
+    }
+
+    /// @notice Update a voter weight, keep totalVoterWeight in sync and checkpoint both
+    function _setVoterWeight(address voter, uint256 weight) internal {
+        totalVoterWeight = totalVoterWeight - voterWeight[voter] + weight;
+        voterWeight[voter] = weight;
+
+        _writeCheckpoint(weightHistory[voter], weight);
+        _writeCheckpoint(totalWeightHistory, totalVoterWeight);
+
+        emit VoterWeightSet(voter, weight);
+    }
+
+    /// @notice Record a value for the current block, overwriting an earlier write in the same block
+    /// @dev Weights are bounded by 1e18 per voter, far below uint192
+    function _writeCheckpoint(WeightCheckpoint[] storage history, uint256 weight) internal {
+        uint256 length = history.length;
+
+        if (length > 0 && history[length - 1].fromBlock == block.number) {
+            history[length - 1].weight = uint192(weight);
+        } else {
+            history.push(WeightCheckpoint({fromBlock: uint64(block.number), weight: uint192(weight)}));
+        }
+    }
+
+    /// @notice Set a confidential voter weight from an encrypted input
+    /// @dev Only the ciphertext handle is stored; the voter is allowed to decrypt their own weight.
+    ///      Weights above MAX_ENCRYPTED_WEIGHT are clamped to it, as nothing can be rejected without decrypting.
+    /// @param voter Address of the voter
+    /// @param weight Encrypted voting weight (zero removes the voter)
+    /// @param inputProof FHE input proof
+    function setEncryptedVoterWeight(
+        address voter,
+        externalEuint64 weight,
+        bytes calldata inputProof
+    ) external onlyRole(WEIGHT_MANAGER_ROLE) validAddress(voter) {
+        euint64 value = FHE.min(FHE.fromExternal(weight, inputProof), MAX_ENCRYPTED_WEIGHT);
+        FHE.allowThis(value);
+        FHE.allow(value, voter);
+
+        EncryptedWeightCheckpoint[] storage history = encryptedWeightHistory[voter];
+        uint256 length = history.length;
+        if (length > 0 && history[length - 1].fromBlock == block.number) {
+            history[length - 1].weight = value;
+        } else {
+            history.push(EncryptedWeightCheckpoint({fromBlock: uint64(block.number), weight: value}));
+        }
+
+        emit EncryptedVoterWeightSet(voter);
+    }
+
+    /// @notice Publish the Merkle root of (address, weight) leaves for a new weight epoch
+    /// @dev Proposals created from now on accept proofs against this root and measure quorum against
+    ///      totalWeight. Build the tree with scripts/build-weight-tree.js.
+    /// @param root Merkle root of the membership tree
+    /// @param totalWeight Sum of all weights in the tree
+    function publishWeightRoot(bytes32 root, uint256 totalWeight) external onlyRole(WEIGHT_MANAGER_ROLE) {
+        require(root != bytes32(0), "Invalid root");
+        require(totalWeight > 0, "Invalid total weight");
+
+        uint256 epoch = ++weightEpoch;
+        weightRoots[epoch] = root;
+        weightRootTotals[epoch] = totalWeight;
+
+        emit WeightRootPublished(epoch, root, totalWeight);
+    }
+
+    /// @notice Copy a member's weight from the current epoch's tree into the weight registry
+    /// @dev Anyone may submit the proof. Each member can claim once per epoch; the weight applies to proposals
+    ///      created after the claim, like any other registry update.
+    /// @param account Member listed in the tree
+    /// @param weight Weight listed for the member
+    /// @param proof Merkle proof of (account, weight)
+    function claimWeight(address account, uint256 weight, bytes32[] calldata proof) external {
+        uint256 epoch = weightEpoch;
+        require(!weightClaimed[epoch][account], "Weight already claimed");
+        require(weight > 0 && weight <= 1e18, "Invalid weight");
+        require(_verifyWeight(epoch, account, weight, proof), "Invalid weight proof");
+
+        weightClaimed[epoch][account] = true;
+        _setVoterWeight(account, weight);
+
+        emit WeightClaimed(epoch, account, weight);
+    }
+
+    /// @notice Switch the voting power source for proposals created from now on, from a passed proposal's action
+    /// @dev Refused while any proposal is still voting, so no ballot is weighed against a source being replaced
+    /// @param source Token-based source, or address(0) to use the built-in weight registry
+    function setVotingPowerSource(IVotingPowerSource source) external onlyGovernance {
+        require(block.timestamp >= latestVotingEnd, "Proposals still voting");
+        if (address(source) == address(0)) {
+            source = IVotingPowerSource(address(this));
+        }
+        votingPowerSource = source;
+        emit VotingPowerSourceUpdated(address(source));
+    }
+
+    /// @notice Open/close voting system
+    function setVotingOpen(bool _open) external onlyRole(PAUSER_ROLE) {
+        votingOpen = _open;
+        emit VotingOpenUpdated(_open);
+    }
+
+    /// @notice Emergency pause proposal
+    function pauseProposal(uint256 proposalId) external onlyRole(PAUSER_ROLE) proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+        require(proposal.active, "Proposal not active");
+
+        proposal.active = false;
+        emit ProposalPaused(proposalId);
+    }
+
+    /// @notice Resume a paused proposal; the voting window is not extended
+    function unpauseProposal(uint256 proposalId) external onlyRole(PAUSER_ROLE) proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+        require(!proposal.active, "Proposal not paused");
+        require(!proposal.cancelled, "Proposal cancelled");
+
+        proposal.active = true;
+        emit ProposalUnpaused(proposalId);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                               DELEGATION
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Ask another member to hold your voting power; it moves once they accept
+    /// @dev Single-hop only: delegatees cannot delegate and delegators cannot receive delegations. Because
+    ///      delegatees must accept, nobody can stop an address from delegating by delegating to it first.
+    /// @param to Delegatee address
+    function delegate(address to) external validAddress(to) {
+        require(to != msg.sender, "Cannot delegate to self");
+        require(
+            _votingPowerAt(votingPowerSource, msg.sender, block.number - 1) > 0 ||
+                encryptedWeightHistory[msg.sender].length > 0,
+            "No voting permission"
+        );
+        require(delegates[msg.sender] != to, "Already delegated");
+        _checkDelegation(msg.sender, to);
+
+        pendingDelegates[msg.sender] = to;
+
+        emit DelegationRequested(msg.sender, to);
+    }
+
+    /// @notice Accept a pending delegation, moving the delegator's power to the caller
+    /// @param delegator Address that requested to delegate to the caller
+    function acceptDelegation(address delegator) external {
+        require(pendingDelegates[delegator] == msg.sender, "No pending delegation");
+        _checkDelegation(delegator, msg.sender);
+
+        address previous = delegates[delegator];
+        if (previous != address(0)) {
+            _removeDelegator(previous, delegator);
+        }
+
+        delete pendingDelegates[delegator];
+        delegates[delegator] = msg.sender;
+        delegatorIndex[delegator] = delegators[msg.sender].length;
+        delegators[msg.sender].push(delegator);
+
+        emit DelegateChanged(delegator, previous, msg.sender);
+    }
+
+    /// @notice Decline a pending delegation or drop an accepted one
+    /// @param delegator Address delegating, or asking to delegate, to the caller
+    function rejectDelegation(address delegator) external {
+        if (pendingDelegates[delegator] == msg.sender) {
+            delete pendingDelegates[delegator];
+            emit DelegationRejected(delegator, msg.sender);
+            return;
+        }
+        require(delegates[delegator] == msg.sender, "Not delegated");
+
+        _removeDelegator(msg.sender, delegator);
+        delete delegates[delegator];
+
+        emit DelegationRejected(delegator, msg.sender);
+        emit DelegateChanged(delegator, msg.sender, address(0));
+    }
+
+    /// @notice Revoke the current delegation along with any pending request
+    function undelegate() external {
+        address previous = delegates[msg.sender];
+        require(previous != address(0) || pendingDelegates[msg.sender] != address(0), "Not delegated");
+
+        delete pendingDelegates[msg.sender];
+        if (previous == address(0)) return;
+
+        _removeDelegator(previous, msg.sender);
+        delete delegates[msg.sender];
+
+        emit DelegateChanged(msg.sender, previous, address(0));
+    }
+
+    /// @notice Require that delegator could delegate to delegatee without forming a chain or passing the cap
+    function _checkDelegation(address delegator, address delegatee) internal view {
+        require(delegates[delegatee] == address(0), "Delegatee has delegated");
+        require(delegators[delegator].length == 0, "Delegator has delegators");
+        require(delegators[delegatee].length < MAX_DELEGATORS, "Too many delegators");
+    }
+
+    /// @notice Swap-and-pop a delegator out of the delegatee's list
+    function _removeDelegator(address delegatee, address delegator) internal {
+        address[] storage list = delegators[delegatee];
+        uint256 index = delegatorIndex[delegator];
+        address last = list[list.length - 1];
+
+        list[index] = last;
+        delegatorIndex[last] = index;
+        list.pop();
+        delete delegatorIndex[delegator];
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                             VIEW FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Get a voter's weight as of a past block
+    /// @param voter Voter address
+    /// @param blockNumber Block to query (must be in the past)
+    function getWeightAt(address voter, uint256 blockNumber) public view returns (uint256) {
+        require(blockNumber < block.number, "Block not yet mined");
+        return _checkpointAt(weightHistory[voter], blockNumber);
+    }
+
+    /// @notice Get the total registered weight as of a past block
+    /// @param blockNumber Block to query (must be in the past)
+    function getTotalWeightAt(uint256 blockNumber) public view returns (uint256) {
+        require(blockNumber < block.number, "Block not yet mined");
+        return _checkpointAt(totalWeightHistory, blockNumber);
+    }
+
+    /// @notice Get the Merkle root and total weight published for a weight epoch
+    /// @param epoch Weight epoch (1-based; 0 returns empty values)
+    function getWeightEpoch(uint256 epoch) external view returns (bytes32 root, uint256 totalWeight) {
+        return (weightRoots[epoch], weightRootTotals[epoch]);
+    }
+
+    /// @notice Check whether a member has claimed their weight for an epoch
+    function hasClaimedWeight(uint256 epoch, address account) external view returns (bool) {
+        return weightClaimed[epoch][account];
+    }
+
+    /// @inheritdoc IVotingPowerSource
+    function getVotingPower(address account, uint256 blockNumber) external view returns (uint256) {
+        return getWeightAt(account, blockNumber);
+    }
+
+    /// @inheritdoc IVotingPowerSource
+    function getTotalVotingPower(uint256 blockNumber) external view returns (uint256) {
+        return getTotalWeightAt(blockNumber);
+    }
+
+    /// @notice Get the handle of a voter's current confidential weight
+    /// @dev Decryptable by the voter through the relayer's user decryption flow
+    function getEncryptedWeight(address voter) external view returns (euint64) {
+        return _encryptedWeightAt(voter, block.number);
+    }
+
+    /// @notice Get the combined power delegated to an address, as of the previous block
+    function getDelegatedPower(address delegatee) external view returns (uint256 power) {
+        address[] storage list = delegators[delegatee];
+        for (uint i = 0; i < list.length; i++) {
+            power += _votingPowerAt(votingPowerSource, list[i], block.number - 1);
+        }
+    }
+
+    /// @notice Get the addresses currently delegating to an address
+    function getDelegators(address delegatee) external view returns (address[] memory) {
+        return delegators[delegatee];
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                         GOVERNANCE PARAMETERS
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Change a governance parameter from a passed proposal's action
+    /// @param parameter Parameter to change
+    /// @param value New value, within getParameterBounds
+    function setParameter(GovernanceParameter parameter, uint256 value) external onlyGovernance {
+        _requireInBounds(parameter, value);
+        _setParameter(parameter, value);
+    }
+
+    /// @notice Schedule a parameter change that can be applied once PARAMETER_TIMELOCK has passed
+    /// @dev Replaces any change already scheduled for the parameter
+    /// @param parameter Parameter to change
+    /// @param value New value, within getParameterBounds
+    function scheduleParameterChange(GovernanceParameter parameter, uint256 value) external onlyOwner {
+        _requireInBounds(parameter, value);
+
+        uint256 eta = block.timestamp + PARAMETER_TIMELOCK;
+        pendingParameterChanges[parameter] = PendingParameterChange(value, eta);
+
+        emit ParameterChangeScheduled(parameter, value, eta);
+    }
+
+    /// @notice Drop a scheduled parameter change
+    /// @param parameter Parameter whose change is cancelled
+    function cancelParameterChange(GovernanceParameter parameter) external onlyOwner {
+        require(pendingParameterChanges[parameter].eta > 0, "No pending change");
+        delete pendingParameterChanges[parameter];
+        emit ParameterChangeCancelled(parameter);
+    }
+
+    /// @notice Apply a scheduled parameter change after its timelock; callable by anyone
+    /// @param parameter Parameter to change
+    function applyParameterChange(GovernanceParameter parameter) external {
+        PendingParameterChange memory change = pendingParameterChanges[parameter];
+        require(change.eta > 0, "No pending change");
+        require(block.timestamp >= change.eta, "Timelock not expired");
+
+        delete pendingParameterChanges[parameter];
+        _setParameter(parameter, change.value);
+    }
+
+    /// @notice Allowed range of a governance parameter
+    function getParameterBounds(GovernanceParameter parameter) public pure returns (uint256 min, uint256 max) {
+        if (parameter == GovernanceParameter.VotingDuration) return (MIN_VOTING_DURATION, MAX_VOTING_DURATION);
+        if (parameter == GovernanceParameter.RevealPeriod) return (1 hours, 7 days);
+        if (parameter == GovernanceParameter.DecryptionTimeout) return (1 days, 14 days);
+        if (parameter == GovernanceParameter.MinVotingPower) return (1, type(uint64).max);
+        if (parameter == GovernanceParameter.MinStake) return (0.0001 ether, 1 ether);
+        if (parameter == GovernanceParameter.PlatformFee) return (0, 1 ether);
+        if (parameter == GovernanceParameter.TimelockDelay) return (1 hours, 30 days);
+        if (parameter == GovernanceParameter.GracePeriod) return (1 days, 30 days);
+        if (parameter == GovernanceParameter.VotingDelay) return (0, 7 days);
+        if (parameter == GovernanceParameter.SettlementPolicy) return (0, uint256(type(SettlementPolicy).max));
+        if (parameter == GovernanceParameter.SlashBps) return (0, MAX_BPS);
+        return (1, MAX_DECRYPTION_ATTEMPTS); // MaxDecryptionAttempts
+    }
+
+    function _requireInBounds(GovernanceParameter parameter, uint256 value) internal pure {
+        (uint256 min, uint256 max) = getParameterBounds(parameter);
+        require(value >= min && value <= max, "Parameter out of range");
+    }
+
+    /// @dev Changes apply to proposals already in flight, except for the voting duration and the settlement
+    ///      policy and slash rate, fixed at creation
+    function _setParameter(GovernanceParameter parameter, uint256 value) internal {
+        if (parameter == GovernanceParameter.VotingDuration) votingDuration = value;
+        else if (parameter == GovernanceParameter.RevealPeriod) revealPeriod = value;
+        else if (parameter == GovernanceParameter.DecryptionTimeout) decryptionTimeout = value;
+        else if (parameter == GovernanceParameter.MinVotingPower) minVotingPower = value;
+        else if (parameter == GovernanceParameter.MinStake) minStake = value;
+        else if (parameter == GovernanceParameter.PlatformFee) platformFee = value;
+        else if (parameter == GovernanceParameter.TimelockDelay) timelockDelay = value;
+        else if (parameter == GovernanceParameter.GracePeriod) gracePeriod = value;
+        else if (parameter == GovernanceParameter.VotingDelay) votingDelay = value;
+        else if (parameter == GovernanceParameter.SettlementPolicy) settlementPolicy = SettlementPolicy(value);
+        else if (parameter == GovernanceParameter.SlashBps) slashBps = uint16(value);
+        else maxDecryptionAttempts = uint8(value);
+
+        emit ParameterUpdated(parameter, value);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            GUARDIAN COUNCIL
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Set the council allowed to veto resolved proposals from a passed proposal's action
+    /// @param council GuardianCouncil contract, or address(0) to disable vetoes
+    function setGuardianCouncil(address council) external onlyGovernance {
+        guardianCouncil = council;
+        emit GuardianCouncilUpdated(council);
+    }
+
+    /// @notice Veto a resolved proposal before execution, releasing every stake in full
+    /// @param proposalId Proposal ID
+    /// @param reason Why the guardians vetoed the proposal
+    function vetoProposal(uint256 proposalId, string calldata reason) external proposalExists(proposalId) {
+        require(msg.sender == guardianCouncil, "Only guardian council");
+
+        Proposal storage proposal = proposals[proposalId];
+        require(proposal.isResolved, "Not resolved");
+        require(!proposal.executed, "Already executed");
+        require(!proposal.cancelled, "Proposal cancelled");
+        require(bytes(reason).length > 0, "Reason required");
+
+        proposal.cancelled = true;
+        proposal.vetoed = true;
+        _releaseStakes(proposalId);
+
+        emit ProposalVetoed(proposalId, reason);
+    }
+
+    /// @notice Cancel a queued proposal before its timelock ends, releasing all stakes
+    /// @dev Covers deployments without a guardian council; once governance registers one, only its veto can stop
+    ///      a proposal
+    /// @param proposalId Proposal ID
+    function cancelQueuedProposal(uint256 proposalId) external onlyRole(GUARDIAN_ROLE) proposalExists(proposalId) {
+        require(guardianCouncil == address(0), "Guardian council vetoes instead");
+
+        Proposal storage proposal = proposals[proposalId];
+        require(proposal.eta > 0, "Proposal not queued");
+        require(!proposal.executed, "Already executed");
+        require(!proposal.cancelled, "Proposal cancelled");
+        require(block.timestamp < proposal.eta, "Timelock ended");
+
+        proposal.cancelled = true;
+        _releaseStakes(proposalId);
+
+        emit ProposalCancelled(proposalId, msg.sender);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                          EMERGENCY FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Emergency function to enable refunds (emergency operators only)
+    /// @param proposalId Proposal ID
+    function emergencyEnableRefund(uint256 proposalId) external onlyRole(EMERGENCY_ROLE) proposalExists(proposalId) {
+        proposals[proposalId].refundEnabled = true;
+        _releaseStakes(proposalId);
+        emit DecryptionFailed(proposalId, "Emergency refund enabled by operator");
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                           EXTENSION ROUTING
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Forward every other call to the governance extension, still within SecureDAOVoting's storage
+    fallback() external {
+        address target = governanceExtension;
+
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let result := delegatecall(gas(), target, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+
+            switch result
+            case 0 {
+                revert(ptr, returndatasize())
+            }
+            default {
+                return(ptr, returndatasize())
+            }
+        }
+    }
+}
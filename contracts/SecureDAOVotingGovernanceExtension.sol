@@ -0,0 +1,495 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "@fhevm/solidity/lib/FHE.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { SecureDAOVotingBase } from "./SecureDAOVotingBase.sol";
+
+/// @title SecureDAOVoting Governance Extension
+/// @notice Cancellation, decryption, timelock, execution, stake and treasury spending functions of SecureDAOVoting
+/// @dev Deployed once and passed to the SecureDAOVotingExtension constructor. Calls reach it through both
+///      fallbacks via delegatecall, so these functions run against SecureDAOVoting's storage with the caller's
+///      msg.sender. Calls this contract does not implement either are forwarded the same way to
+///      SecureDAOVotingViewExtension.
+contract SecureDAOVotingGovernanceExtension is SecureDAOVotingBase {
+    using SafeERC20 for IERC20;
+
+    /// @notice Contract that serves the proposal views no earlier contract in the chain implements
+    address public immutable viewExtension;
+
+    constructor(address _viewExtension) validAddress(_viewExtension) {
+        viewExtension = _viewExtension;
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                          PROPOSAL CANCELLATION
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Withdraw a proposal before anyone has voted, refunding the platform fee to the creator
+    /// @dev The fee is reserved until the first ballot, so withdrawPlatformFees never leaves it short
+    /// @param proposalId Proposal ID
+    function cancelProposal(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+
+        require(msg.sender == proposal.creator, "Only creator");
+        require(!proposal.cancelled, "Proposal cancelled");
+        require(proposal.totalVoters == 0, "Proposal has votes");
+        require(block.timestamp < proposal.votingEnd, "Voting ended");
+
+        uint256 refund = proposal.settings.feePaid;
+        reservedFees -= refund;
+
+        proposal.cancelled = true;
+        proposal.active = false;
+
+        emit ProposalCancelled(proposalId, msg.sender);
+
+        if (refund > 0) {
+            _recordTreasury(TreasuryEntryKind.FeeRefund, address(0), msg.sender, refund, proposalId);
+            (bool sent, ) = payable(msg.sender).call{value: refund}("");
+            require(sent, "Fee refund failed");
+        }
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                      GATEWAY CALLBACK DECRYPTION
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Request vote tally decryption from Gateway oracle
+    /// @param proposalId Proposal ID
+    function requestTallyReveal(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+
+        require(proposal.active, "Proposal not active");
+        require(block.timestamp >= proposal.votingEnd, "Voting not ended");
+        require(!proposal.isResolved, "Already resolved");
+        require(msg.sender == proposal.creator || msg.sender == owner, "Unauthorized");
+        require(proposal.decryption.attempts == 0, "Decryption already requested");
+
+        _releaseFeeReserve(proposal);
+        _requestDecryption(proposalId, proposal);
+    }
+
+    /// @notice Re-request tally decryption after the previous Gateway request timed out
+    /// @dev Anyone may retry, so voters are not stuck waiting on the creator to reach the refund fallback.
+    ///      The previous request ID is invalidated, so a late callback for it is rejected.
+    /// @param proposalId Proposal ID
+    function retryTallyReveal(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+
+        require(proposal.active, "Proposal not active");
+        require(proposal.decryption.attempts > 0, "No decryption requested");
+        require(!proposal.isResolved, "Already resolved");
+        require(!proposal.refundEnabled, "Refunds enabled");
+        require(
+            block.timestamp >= proposal.decryption.requestTime + decryptionTimeout,
+            "Timeout not reached"
+        );
+        require(proposal.decryption.attempts < maxDecryptionAttempts, "Retry limit reached");
+
+        uint256 previousRequestId = proposal.decryption.requestId;
+        delete proposalIdByRequestId[previousRequestId];
+
+        uint256 requestId = _requestDecryption(proposalId, proposal);
+
+        emit DecryptionRetried(proposalId, previousRequestId, requestId, proposal.decryption.attempts);
+    }
+
+    /// @notice Send the proposal's ciphertexts to the Gateway oracle and record the request
+    function _requestDecryption(uint256 proposalId, Proposal storage proposal) internal returns (uint256 requestId) {
+        requestId = FHE.requestDecryption(_revealCiphertexts(proposal), this.resolveTallyCallback.selector);
+        proposalIdByRequestId[requestId] = proposalId;
+        _recordRequest(proposalId, proposal, requestId);
+    }
+
+    /// @notice Gateway callback for decryption results
+    /// @param requestId Decryption request ID
+    /// @param cleartexts Decrypted values, one ABI-encoded word per option tally
+    /// @param decryptionProof Cryptographic proof
+    function resolveTallyCallback(
+        uint256 requestId,
+        bytes calldata cleartexts,
+        bytes calldata decryptionProof
+    ) external {
+        // Verify cryptographic signatures
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        uint256 proposalId = proposalIdByRequestId[requestId];
+        require(proposalId > 0, "Invalid request ID");
+
+        Proposal storage proposal = proposals[proposalId];
+        require(!proposal.isResolved, "Already resolved");
+
+        _recordReveal(proposalId, proposal, cleartexts, 0);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                           BATCH DECRYPTION
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Request tally decryption for several proposals in one Gateway round trip
+    /// @dev Proposals the caller cannot reveal yet are skipped, as are unknown IDs
+    /// @param proposalIds Proposal IDs in strictly ascending order
+    /// @return requestId Gateway request shared by every included proposal
+    function requestTallyRevealBatch(uint256[] calldata proposalIds) external returns (uint256 requestId) {
+        uint256[] memory included = new uint256[](proposalIds.length);
+        bytes32[] memory cts = new bytes32[](MAX_BATCH_CIPHERTEXTS);
+        uint256 count;
+        uint256 ctCount;
+
+        for (uint i = 0; i < proposalIds.length; i++) {
+            uint256 proposalId = proposalIds[i];
+            require(i == 0 || proposalId > proposalIds[i - 1], "Proposal IDs not ascending");
+            if (!_canRequestReveal(proposalId)) continue;
+
+            bytes32[] memory proposalCts = _revealCiphertexts(proposals[proposalId]);
+            require(ctCount + proposalCts.length <= MAX_BATCH_CIPHERTEXTS, "Batch too large");
+            for (uint j = 0; j < proposalCts.length; j++) {
+                cts[ctCount++] = proposalCts[j];
+            }
+            included[count++] = proposalId;
+        }
+        require(count > 0, "No eligible proposals");
+
+        // Trim both arrays to the entries actually filled
+        assembly ("memory-safe") {
+            mstore(cts, ctCount)
+            mstore(included, count)
+        }
+
+        requestId = FHE.requestDecryption(cts, this.resolveTallyBatchCallback.selector);
+        batchProposalIds[requestId] = included;
+
+        for (uint i = 0; i < count; i++) {
+            _releaseFeeReserve(proposals[included[i]]);
+            _recordRequest(included[i], proposals[included[i]], requestId);
+        }
+    }
+
+    /// @notice Gateway callback resolving every proposal of a batched request
+    /// @param requestId Decryption request ID
+    /// @param cleartexts Decrypted values of all included proposals, in batch order
+    /// @param decryptionProof KMS signatures proving the decryption
+    function resolveTallyBatchCallback(
+        uint256 requestId,
+        bytes calldata cleartexts,
+        bytes calldata decryptionProof
+    ) external {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        uint256[] storage batch = batchProposalIds[requestId];
+        require(batch.length > 0, "Invalid request ID");
+
+        uint256 offset;
+        for (uint i = 0; i < batch.length; i++) {
+            Proposal storage proposal = proposals[batch[i]];
+            // Proposals re-requested through retryTallyReveal resolve with their own request
+            if (proposal.decryption.requestId == requestId) {
+                _recordReveal(batch[i], proposal, cleartexts, offset);
+            }
+            offset += _revealCount(proposal);
+        }
+
+        delete batchProposalIds[requestId];
+    }
+
+    /// @notice Whether the caller may include a proposal in a batched reveal, mirroring requestTallyReveal
+    function _canRequestReveal(uint256 proposalId) internal view returns (bool) {
+        if (proposalId == 0 || proposalId > proposalCount) return false;
+
+        Proposal storage proposal = proposals[proposalId];
+        return proposal.active
+            && block.timestamp >= proposal.votingEnd
+            && !proposal.isResolved
+            && proposal.decryption.attempts == 0
+            && (msg.sender == proposal.creator || msg.sender == owner);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                         TIMELOCK & EXECUTION
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Queue a passed proposal for execution once the timelock delay has passed
+    /// @param proposalId Proposal ID
+    function queueProposal(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+
+        require(proposal.isResolved, "Not resolved");
+        require(!proposal.executed, "Already executed");
+        require(proposal.active, "Proposal not active");
+        require(!proposal.cancelled, "Proposal cancelled");
+        require(proposal.eta == 0, "Already queued");
+        require(block.timestamp >= proposal.votingEnd + revealPeriod, "Reveal period not ended");
+        require(!_isExpired(proposal), "Proposal expired");
+        require(_determineOutcome(proposal) == ProposalOutcome.Passed, "Proposal not passed");
+
+        proposal.eta = block.timestamp + timelockDelay;
+
+        emit ProposalQueued(proposalId, proposal.eta);
+    }
+
+    /// @notice Execute proposal after decryption
+    /// @dev A passed proposal must be queued and its timelock elapsed; attached actions then run in order and
+    ///      any failing action reverts the call. Failed proposals are executed directly to settle stakes.
+    /// @param proposalId Proposal ID
+    function executeProposal(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+
+        require(proposal.isResolved, "Not resolved");
+        require(!proposal.executed, "Already executed");
+        require(proposal.active, "Proposal not active");
+        require(!proposal.cancelled, "Proposal cancelled");
+        require(!proposal.refundEnabled, "Refunds enabled");
+        require(
+            block.timestamp >= proposal.votingEnd + revealPeriod,
+            "Reveal period not ended"
+        );
+        require(!_isExpired(proposal), "Proposal expired");
+
+        proposal.executed = true;
+
+        ProposalOutcome outcome = _determineOutcome(proposal);
+        proposal.outcome = outcome;
+        bool passed = outcome == ProposalOutcome.Passed;
+
+        if (passed) {
+            require(proposal.eta > 0, "Proposal not queued");
+            require(block.timestamp >= proposal.eta, "Timelock not expired");
+        }
+
+        _releaseStakes(proposalId);
+        _settleStakes(proposalId, outcome);
+
+        if (passed) {
+            _executeActions(proposalId);
+        }
+
+        emit ProposalExecuted(proposalId, passed, outcome);
+    }
+
+    /// @notice Perform the actions attached to a passed proposal
+    /// @dev ETH sent with an action is paid from the treasury and counts toward the proposal's spending cap
+    /// @param proposalId Proposal ID
+    function _executeActions(uint256 proposalId) internal {
+        ProposalAction[] storage actions = proposalActions[proposalId];
+        executingProposalId = proposalId;
+
+        for (uint i = 0; i < actions.length; i++) {
+            ProposalAction storage action = actions[i];
+            // Checked again here since the token may have been deposited after the proposal was created
+            require(!_isTreasuryToken(action.target), "Use treasuryTransfer for treasury tokens");
+            if (action.value > 0) _spendTreasury(proposalId, address(0), action.target, action.value);
+
+            (bool success, bytes memory result) = action.target.call{value: action.value}(action.data);
+            if (!success) {
+                // Bubble up the target's own error so a failed proposal shows why it failed
+                require(result.length > 0, "Proposal action failed");
+                assembly ("memory-safe") {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+
+            emit ActionExecuted(proposalId, i, action.target, action.value, result);
+        }
+
+        executingProposalId = 0;
+    }
+
+    /// @notice Hand the reward pool to the voters of a Redistribute proposal that reached quorum
+    /// @dev Proposals without a quorum never share the pool, since any of them would qualify. Slashes are
+    ///      settled once the empty ballots are known, see requestParticipationCheck
+    /// @param proposalId Proposal ID
+    /// @param outcome Outcome determined at execution
+    function _settleStakes(uint256 proposalId, ProposalOutcome outcome) internal {
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.settings.settlementPolicy != SettlementPolicy.Redistribute || proposal.totalStaked == 0) return;
+        if (proposal.settings.quorumVotes == 0 || outcome == ProposalOutcome.QuorumNotMet) return;
+        if (stakeRewardPool == 0) return;
+
+        proposal.stakeReward = stakeRewardPool;
+        totalClaimableRefunds += stakeRewardPool;
+        stakeRewardPool = 0;
+        emit StakeRewardAllocated(proposalId, proposal.stakeReward);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                           STAKES & REFUNDS
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Withdraw stake once a proposal is executed or expired
+    /// @param proposalId Proposal ID
+    function withdrawStake(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+
+        require(hasVoted[proposalId][msg.sender], "Did not vote");
+        require(!hasClaimed[proposalId][msg.sender], "Already claimed");
+        require(_stakeReleased(proposal), "Stake still locked");
+        require(!_awaitsParticipationCheck(proposalId), "Participation not checked");
+
+        uint256 stake = userStake[proposalId][msg.sender];
+        uint256 amount = _settledStake(proposalId, msg.sender);
+        require(amount > 0, "No stake to withdraw");
+
+        hasClaimed[proposalId][msg.sender] = true;
+        _releaseStakes(proposalId); // Expired proposals are released here
+        _payOutStake(proposalId, stake, amount);
+
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Stake transfer failed");
+
+        emit StakeWithdrawn(proposalId, msg.sender, amount);
+    }
+
+    /// @notice Ask the Gateway for the stake of a proposal's empty ballots, which settles its stakes
+    /// @dev Required once before anyone withdraws from an executed Slash or Redistribute proposal; anyone may request
+    ///      it. Only the proposal's total is revealed, not which ballots were empty.
+    /// @param proposalId Proposal ID
+    function requestParticipationCheck(uint256 proposalId) external proposalExists(proposalId) {
+        require(_awaitsParticipationCheck(proposalId), "No check needed");
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(proposals[proposalId].emptyStake);
+        uint256 requestId = FHE.requestDecryption(cts, this.resolveParticipationCallback.selector);
+        participationChecks[requestId] = proposalId;
+
+        emit ParticipationCheckRequested(proposalId, requestId);
+    }
+
+    /// @notice Gateway callback taking the slash on a proposal's empty ballots out of its stake pool
+    /// @param requestId Decryption request ID
+    /// @param cleartexts ABI-encoded stake of empty ballots
+    /// @param decryptionProof KMS signatures proving the decryption
+    function resolveParticipationCallback(
+        uint256 requestId,
+        bytes calldata cleartexts,
+        bytes calldata decryptionProof
+    ) external {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        uint256 proposalId = participationChecks[requestId];
+        require(proposalId != 0, "Invalid request ID");
+        delete participationChecks[requestId];
+        // A duplicate request resolves after the first one
+        if (!_awaitsParticipationCheck(proposalId)) return;
+
+        Proposal storage proposal = proposals[proposalId];
+        uint256 emptyStake = abi.decode(cleartexts, (uint128));
+        proposal.participationChecked = true;
+        emit ParticipationChecked(proposalId, emptyStake);
+
+        uint256 slashed = emptyStake - _applySlash(proposal, emptyStake);
+        if (slashed > 0) {
+            proposal.slashedStake = slashed;
+            _moveSlashed(proposalId, slashed);
+            emit StakesSlashed(proposalId, slashed);
+        }
+    }
+
+    /// @notice Claim refund if decryption failed or timed out
+    /// @param proposalId Proposal ID
+    function claimRefund(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+
+        require(hasVoted[proposalId][msg.sender], "Did not vote");
+        require(!hasClaimed[proposalId][msg.sender], "Already claimed");
+        require(proposal.refundEnabled, "Refunds not enabled");
+
+        // Refunds enabled after execution pay the settled stake, as slashes have already left the claimable bucket
+        require(!_awaitsParticipationCheck(proposalId), "Participation not checked");
+        uint256 stake = userStake[proposalId][msg.sender];
+        uint256 refundAmount = _settledStake(proposalId, msg.sender);
+        require(refundAmount > 0, "No stake to refund");
+
+        hasClaimed[proposalId][msg.sender] = true;
+        _payOutStake(proposalId, stake, refundAmount);
+
+        // Transfer refund with reentrancy protection
+        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
+        require(sent, "Refund transfer failed");
+
+        emit RefundIssued(proposalId, msg.sender, refundAmount);
+    }
+
+    /// @notice Enable refunds once every allowed decryption attempt has timed out
+    /// @param proposalId Proposal ID
+    function triggerTimeoutRefund(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+
+        require(proposal.decryption.attempts > 0, "No decryption requested");
+        require(!proposal.isResolved, "Already resolved");
+        require(
+            block.timestamp >= proposal.decryption.requestTime + decryptionTimeout,
+            "Timeout not reached"
+        );
+        require(proposal.decryption.attempts >= maxDecryptionAttempts, "Retries remaining");
+
+        // Enable refunds for all voters
+        proposal.refundEnabled = true;
+        _releaseStakes(proposalId);
+
+        emit TimeoutRefundTriggered(proposalId, block.timestamp - proposal.decryption.requestTime);
+        emit DecryptionFailed(proposalId, "Decryption timeout");
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                           TREASURY SPENDING
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Pay ETH or ERC20 tokens from the treasury
+    /// @dev Only callable by an action of the proposal being executed; counts toward its spending cap
+    /// @param token ERC20 token, or address(0) for ETH
+    /// @param to Recipient
+    /// @param amount Amount to pay
+    function treasuryTransfer(address token, address to, uint256 amount) external onlyGovernance validAddress(to) {
+        uint256 proposalId = executingProposalId;
+        require(proposalId > 0, "No proposal executing");
+        _spendTreasury(proposalId, token, to, amount);
+
+        if (token == address(0)) {
+            (bool sent, ) = payable(to).call{value: amount}("");
+            require(sent, "Transfer failed");
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+
+    /// @notice Debit a treasury payment against the asset's balance and the proposal's spending cap
+    /// @dev Proposals cannot spend protocolFees, which are reserved for withdrawPlatformFees
+    function _spendTreasury(uint256 proposalId, address token, address to, uint256 amount) internal {
+        require(amount > 0, "Invalid amount");
+        uint256 available = token == address(0) ? treasuryEth - protocolFees : treasuryTokenBalances[token];
+        require(available >= amount, "Insufficient treasury balance");
+
+        uint256 spent = proposalSpending[proposalId][token] + amount;
+        uint256 cap = spendingCaps[token];
+        require(cap == 0 || spent <= cap, "Spending cap exceeded");
+        proposalSpending[proposalId][token] = spent;
+
+        _recordTreasury(TreasuryEntryKind.Spend, token, to, amount, proposalId);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                           EXTENSION ROUTING
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Forward every other call to the view extension, still within SecureDAOVoting's storage
+    fallback() external {
+        address target = viewExtension;
+
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let result := delegatecall(gas(), target, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+
+            switch result
+            case 0 {
+                revert(ptr, returndatasize())
+            }
+            default {
+                return(ptr, returndatasize())
+            }
+        }
+    }
+}
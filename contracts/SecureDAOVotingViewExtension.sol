@@ -0,0 +1,244 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { SecureDAOVotingBase } from "./SecureDAOVotingBase.sol";
+
+/// @title SecureDAOVoting View Extension
+/// @notice Proposal, participation and state views of SecureDAOVoting
+/// @dev Deployed once and passed to the SecureDAOVotingGovernanceExtension constructor. It is the last contract
+///      in the delegatecall chain: these views run against SecureDAOVoting's storage, and the extra hop only
+///      costs gas when a transaction calls them.
+contract SecureDAOVotingViewExtension is SecureDAOVotingBase {
+
+    /*//////////////////////////////////////////////////////////////
+                             VIEW FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Get proposal information with obfuscated details before resolution
+    /// @dev yesVotes and noVotes are the first two option tallies; optionVotes has one entry per option once resolved
+    /// @param proposalId Proposal ID
+    function getProposal(uint256 proposalId) external view proposalExists(proposalId) returns (
+        ProposalInfo memory info
+    ) {
+        Proposal storage proposal = proposals[proposalId];
+
+        info.id = proposal.id;
+        info.title = proposal.title;
+        info.description = proposal.description;
+        info.creator = proposal.creator;
+        info.createdAt = proposal.createdAt;
+        info.votingStart = proposal.votingStart;
+        info.votingEnd = proposal.votingEnd;
+        info.totalVoters = proposal.totalVoters;
+        info.totalStaked = proposal.totalStaked;
+        info.executed = proposal.executed;
+        info.active = proposal.active;
+        info.isResolved = proposal.isResolved;
+        info.refundEnabled = proposal.refundEnabled;
+        info.cancelled = proposal.cancelled;
+        info.vetoed = proposal.vetoed;
+        info.eta = proposal.eta;
+        info.outcome = proposal.outcome;
+        info.options = proposal.options;
+
+        // Price obfuscation: only reveal counts after resolution (revealedVotes is empty until then, and stays
+        // empty for outcome-only proposals)
+        info.optionVotes = proposal.revealedVotes;
+        if (info.optionVotes.length > 0) {
+            info.yesVotes = info.optionVotes[0];
+            info.noVotes = info.optionVotes[1];
+        }
+    }
+
+    /// @notice Get the configuration a proposal was created with
+    /// @param proposalId Proposal ID
+    function getProposalSettings(uint256 proposalId) external view proposalExists(proposalId) returns (
+        ProposalSettings memory
+    ) {
+        return proposals[proposalId].settings;
+    }
+
+    /// @notice Get a proposal's Gateway decryption state
+    /// @param proposalId Proposal ID
+    function getProposalDecryption(uint256 proposalId) external view proposalExists(proposalId) returns (
+        DecryptionState memory
+    ) {
+        return proposals[proposalId].decryption;
+    }
+
+    /// @notice Get the actions attached to a proposal
+    function getProposalActions(uint256 proposalId) external view proposalExists(proposalId) returns (
+        ProposalAction[] memory
+    ) {
+        return proposalActions[proposalId];
+    }
+
+    /// @notice Check if user has voted
+    function hasUserVoted(uint256 proposalId, address user) external view returns (bool) {
+        return hasVoted[proposalId][user];
+    }
+
+    /// @notice Check if user has claimed refund
+    function hasUserClaimed(uint256 proposalId, address user) external view returns (bool) {
+        return hasClaimed[proposalId][user];
+    }
+
+    /// @notice Get voting status with comprehensive state info
+    function getVotingStatus(uint256 proposalId) external view proposalExists(proposalId) returns (string memory) {
+        ProposalState state = _proposalState(proposals[proposalId]);
+
+        if (state == ProposalState.Vetoed) return "Vetoed";
+        if (state == ProposalState.Cancelled) return "Cancelled";
+        if (state == ProposalState.Paused) return "Proposal not active";
+        if (state == ProposalState.Executed) return "Executed";
+        if (state == ProposalState.RefundsEnabled) return "Refunds enabled";
+        if (state == ProposalState.Expired) return "Expired";
+        if (state == ProposalState.Queued) return "Queued";
+        if (state == ProposalState.AwaitingExecution) return "Awaiting execution";
+        if (state == ProposalState.DecryptionPending) return "Decryption pending";
+        if (state == ProposalState.Pending) return "Pending";
+        if (state == ProposalState.Active) return "Voting in progress";
+        return "Awaiting decryption";
+    }
+
+    /// @notice Get the proposal's state as an enum, see getVotingStatus for the readable form
+    function getProposalState(uint256 proposalId) external view proposalExists(proposalId) returns (ProposalState) {
+        return _proposalState(proposals[proposalId]);
+    }
+
+    /// @notice Get summaries of up to limit proposals, starting after the first offset proposals
+    /// @dev Proposal IDs start at 1, so offset 0 begins with proposal 1. Pages past the end are empty.
+    /// @param offset Number of proposals to skip
+    /// @param limit Maximum number of summaries to return (at most MAX_PAGE_SIZE)
+    function getProposals(uint256 offset, uint256 limit) external view returns (ProposalSummary[] memory page) {
+        require(limit <= MAX_PAGE_SIZE, "Page too large");
+
+        uint256 count = _pageLength(offset, limit);
+        page = new ProposalSummary[](count);
+        for (uint i = 0; i < count; i++) {
+            Proposal storage proposal = proposals[offset + i + 1];
+            page[i] = ProposalSummary({
+                id: proposal.id,
+                title: proposal.title,
+                description: proposal.description,
+                creator: proposal.creator,
+                votingStart: proposal.votingStart,
+                votingEnd: proposal.votingEnd,
+                totalVoters: proposal.totalVoters,
+                totalStaked: proposal.totalStaked,
+                state: _proposalState(proposal),
+                outcome: proposal.outcome,
+                optionVotes: proposal.revealedVotes
+            });
+        }
+    }
+
+    /// @notice Get the IDs of proposals accepting ballots among up to limit proposals, starting after the first offset
+    /// @dev Pages cover the same proposal IDs as getProposals, so a page may hold fewer IDs than limit
+    /// @param offset Number of proposals to skip
+    /// @param limit Maximum number of proposals to scan (at most MAX_PAGE_SIZE)
+    function getActiveProposalIds(uint256 offset, uint256 limit) external view returns (uint256[] memory ids) {
+        require(limit <= MAX_PAGE_SIZE, "Page too large");
+
+        uint256 count = _pageLength(offset, limit);
+        ids = new uint256[](count);
+        uint256 found;
+        for (uint i = 0; i < count; i++) {
+            uint256 proposalId = offset + i + 1;
+            if (_proposalState(proposals[proposalId]) == ProposalState.Active) ids[found++] = proposalId;
+        }
+
+        // Shrink the array to the number of matches
+        assembly ("memory-safe") {
+            mstore(ids, found)
+        }
+    }
+
+    /// @notice Get a voter's participation in up to limit proposals, starting after the first offset proposals
+    /// @param voter Voter address
+    /// @param offset Number of proposals to skip
+    /// @param limit Maximum number of entries to return (at most MAX_PAGE_SIZE)
+    function getVoterParticipation(
+        address voter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (VoterParticipation[] memory page) {
+        require(limit <= MAX_PAGE_SIZE, "Page too large");
+
+        uint256 count = _pageLength(offset, limit);
+        page = new VoterParticipation[](count);
+        for (uint i = 0; i < count; i++) {
+            uint256 proposalId = offset + i + 1;
+            page[i] = VoterParticipation({
+                proposalId: proposalId,
+                voted: hasVoted[proposalId][voter],
+                representedBy: representedBy[proposalId][voter],
+                stake: userStake[proposalId][voter],
+                claimed: hasClaimed[proposalId][voter]
+            });
+        }
+    }
+
+    /// @notice Number of proposals in the page [offset, offset + limit)
+    function _pageLength(uint256 offset, uint256 limit) internal view returns (uint256) {
+        if (offset >= proposalCount) return 0;
+        uint256 remaining = proposalCount - offset;
+        return remaining < limit ? remaining : limit;
+    }
+
+    /// @notice Derive a proposal's state; checks run in precedence order
+    function _proposalState(Proposal storage proposal) internal view returns (ProposalState) {
+        if (proposal.vetoed) return ProposalState.Vetoed;
+        if (proposal.cancelled) return ProposalState.Cancelled;
+        if (!proposal.active) return ProposalState.Paused;
+        if (proposal.executed) return ProposalState.Executed;
+        if (proposal.refundEnabled) return ProposalState.RefundsEnabled;
+        if (_isExpired(proposal)) return ProposalState.Expired;
+        if (proposal.eta > 0) return ProposalState.Queued;
+        if (proposal.isResolved) return ProposalState.AwaitingExecution;
+        if (proposal.decryption.attempts > 0) return ProposalState.DecryptionPending;
+        if (block.timestamp < proposal.votingStart) return ProposalState.Pending;
+        if (block.timestamp < proposal.votingEnd) return ProposalState.Active;
+        return ProposalState.AwaitingDecryption;
+    }
+
+    /// @notice Get decryption status
+    function getDecryptionStatus(uint256 proposalId) external view proposalExists(proposalId) returns (
+        bool requested,
+        bool completed,
+        bool timedOut,
+        uint256 requestTime,
+        uint256 timeElapsed
+    ) {
+        Proposal storage proposal = proposals[proposalId];
+        requested = proposal.decryption.attempts > 0;
+        completed = proposal.isResolved;
+
+        if (requested && !completed) {
+            timeElapsed = block.timestamp - proposal.decryption.requestTime;
+            timedOut = timeElapsed >= decryptionTimeout;
+        }
+
+        return (requested, completed, timedOut, proposal.decryption.requestTime, timeElapsed);
+    }
+
+    /// @notice Get current block timestamp
+    function getCurrentTime() external view returns (uint256) {
+        return block.timestamp;
+    }
+
+    /// @notice Get the stake a user can withdraw right now via withdrawStake
+    function getClaimableStake(uint256 proposalId, address user) external view proposalExists(proposalId) returns (
+        uint256
+    ) {
+        Proposal storage proposal = proposals[proposalId];
+        if (!hasVoted[proposalId][user] || hasClaimed[proposalId][user]) return 0;
+        if (!_stakeReleased(proposal) || _awaitsParticipationCheck(proposalId)) return 0;
+        return _settledStake(proposalId, user);
+    }
+
+    /// @notice Get user stake for a proposal
+    function getUserStake(uint256 proposalId, address user) external view returns (uint256) {
+        return userStake[proposalId][user];
+    }
+}
@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IProposalVeto } from "../interfaces/IProposalVeto.sol";
+
+/// @title Guardian Council
+/// @notice M-of-N guardian set that can veto resolved SecureDAOVoting proposals before execution
+/// @dev Becomes active once a passed proposal calls setGuardianCouncil on the voting contract. The guardian set
+///      can only be replaced by the voting contract itself, i.e. by a passed proposal's action.
+contract GuardianCouncil {
+
+    struct Veto {
+        string reason;           // Given by the guardian who proposed the veto
+        uint256 approvals;
+        bool executed;
+    }
+
+    uint256 public constant MAX_GUARDIANS = 20;
+
+    IProposalVeto public immutable voting;
+    address[] internal guardians;
+    mapping(address => bool) public isGuardian;
+    uint256 public threshold;
+    uint256 public guardianSetId; // Bumped on every change so approvals from a previous set stop counting
+
+    mapping(uint256 => mapping(uint256 => Veto)) internal vetoes; // Guardian set => proposal => veto
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) internal approved;
+
+    event GuardiansUpdated(uint256 indexed guardianSetId, address[] guardians, uint256 threshold);
+    event VetoProposed(uint256 indexed proposalId, address indexed guardian, string reason);
+    event VetoApproved(uint256 indexed proposalId, address indexed guardian, uint256 approvals);
+
+    modifier onlyGuardian() {
+        require(isGuardian[msg.sender], "Only guardian");
+        _;
+    }
+
+    constructor(IProposalVeto _voting, address[] memory _guardians, uint256 _threshold) {
+        require(address(_voting) != address(0), "Invalid voting contract");
+        voting = _voting;
+        _setGuardians(_guardians, _threshold);
+    }
+
+    /// @notice Propose vetoing a proposal, counting as the proposer's approval
+    /// @param proposalId Proposal ID on the voting contract
+    /// @param reason Why the proposal should be vetoed
+    function proposeVeto(uint256 proposalId, string calldata reason) external onlyGuardian {
+        require(bytes(reason).length > 0, "Reason required");
+
+        Veto storage veto = vetoes[guardianSetId][proposalId];
+        require(veto.approvals == 0, "Veto already proposed");
+        veto.reason = reason;
+
+        emit VetoProposed(proposalId, msg.sender, reason);
+        _approve(proposalId, veto);
+    }
+
+    /// @notice Approve a proposed veto; the approval reaching the threshold vetoes the proposal
+    /// @param proposalId Proposal ID on the voting contract
+    function approveVeto(uint256 proposalId) external onlyGuardian {
+        Veto storage veto = vetoes[guardianSetId][proposalId];
+        require(veto.approvals > 0, "Veto not proposed");
+        _approve(proposalId, veto);
+    }
+
+    /// @notice Replace the guardian set; callable only by the voting contract through a passed proposal
+    /// @param newGuardians Guardian addresses
+    /// @param newThreshold Approvals needed to veto
+    function setGuardians(address[] calldata newGuardians, uint256 newThreshold) external {
+        require(msg.sender == address(voting), "Only governance");
+        _setGuardians(newGuardians, newThreshold);
+    }
+
+    /// @notice Get the current guardians
+    function getGuardians() external view returns (address[] memory) {
+        return guardians;
+    }
+
+    /// @notice Get the veto state of a proposal under the current guardian set
+    function getVeto(uint256 proposalId) external view returns (string memory reason, uint256 approvals, bool executed) {
+        Veto storage veto = vetoes[guardianSetId][proposalId];
+        return (veto.reason, veto.approvals, veto.executed);
+    }
+
+    /// @notice Whether a guardian approved the veto of a proposal under the current guardian set
+    function hasApproved(uint256 proposalId, address guardian) external view returns (bool) {
+        return approved[guardianSetId][proposalId][guardian];
+    }
+
+    function _approve(uint256 proposalId, Veto storage veto) internal {
+        require(!veto.executed, "Veto already executed");
+        require(!approved[guardianSetId][proposalId][msg.sender], "Already approved");
+
+        approved[guardianSetId][proposalId][msg.sender] = true;
+        veto.approvals++;
+
+        emit VetoApproved(proposalId, msg.sender, veto.approvals);
+
+        if (veto.approvals >= threshold) {
+            veto.executed = true;
+            voting.vetoProposal(proposalId, veto.reason);
+        }
+    }
+
+    function _setGuardians(address[] memory newGuardians, uint256 newThreshold) internal {
+        require(newGuardians.length > 0 && newGuardians.length <= MAX_GUARDIANS, "Invalid guardian count");
+        require(newThreshold > 0 && newThreshold <= newGuardians.length, "Invalid threshold");
+
+        for (uint i = 0; i < guardians.length; i++) {
+            isGuardian[guardians[i]] = false;
+        }
+        delete guardians;
+
+        for (uint i = 0; i < newGuardians.length; i++) {
+            require(newGuardians[i] != address(0), "Invalid guardian");
+            require(!isGuardian[newGuardians[i]], "Duplicate guardian");
+            isGuardian[newGuardians[i]] = true;
+            guardians.push(newGuardians[i]);
+        }
+
+        threshold = newThreshold;
+        guardianSetId++;
+
+        emit GuardiansUpdated(guardianSetId, newGuardians, newThreshold);
+    }
+}
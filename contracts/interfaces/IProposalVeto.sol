@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title Proposal Veto
+/// @notice Veto entry point SecureDAOVoting exposes to its guardian council
+interface IProposalVeto {
+    /// @notice Veto a resolved proposal before execution
+    /// @param proposalId Proposal ID
+    /// @param reason Why the proposal is vetoed
+    function vetoProposal(uint256 proposalId, string calldata reason) external;
+}
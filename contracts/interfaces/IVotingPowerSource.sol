@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title Voting Power Source
+/// @notice Historical voting power lookup used by SecureDAOVoting at each proposal's snapshot block
+interface IVotingPowerSource {
+    /// @notice Voting power of an account as of a past block
+    /// @param account Account to query
+    /// @param blockNumber Block to query (must be in the past)
+    function getVotingPower(address account, uint256 blockNumber) external view returns (uint256);
+
+    /// @notice Total voting power as of a past block, used to size quorums
+    /// @dev Must not exceed type(uint64).max, the range of the encrypted tallies; larger totals block proposals
+    /// @param blockNumber Block to query (must be in the past)
+    function getTotalVotingPower(uint256 blockNumber) external view returns (uint256);
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IVotes } from "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IVotingPowerSource } from "../interfaces/IVotingPowerSource.sol";
+
+/// @title ERC20Votes Voting Power Source
+/// @notice Derives voting weight from an ERC20Votes token's delegated balance at the snapshot block
+/// @dev Holders must delegate (possibly to themselves) for their balance to count. The token must use the
+///      default block-number clock. SecureDAOVoting tallies in euint64, so the unit must keep the scaled supply
+///      within uint64; it is checked against the supply at deployment and on every total lookup.
+contract ERC20VotesPowerSource is IVotingPowerSource {
+    IVotes public immutable token;
+    uint256 public immutable unit; // Token base units per weight point, e.g. 1e18 for one weight per whole token
+
+    constructor(IVotes _token, uint256 _unit) {
+        require(address(_token) != address(0), "Invalid token");
+        require(_unit > 0, "Invalid unit");
+        require(IERC20(address(_token)).totalSupply() / _unit <= type(uint64).max, "Unit too small for supply");
+        token = _token;
+        unit = _unit;
+    }
+
+    /// @inheritdoc IVotingPowerSource
+    function getVotingPower(address account, uint256 blockNumber) external view returns (uint256) {
+        return token.getPastVotes(account, blockNumber) / unit;
+    }
+
+    /// @inheritdoc IVotingPowerSource
+    function getTotalVotingPower(uint256 blockNumber) external view returns (uint256) {
+        uint256 total = token.getPastTotalSupply(blockNumber) / unit;
+        require(total <= type(uint64).max, "Unit too small for supply");
+        return total;
+    }
+}
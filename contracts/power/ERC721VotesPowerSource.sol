@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IVotes } from "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import { IVotingPowerSource } from "../interfaces/IVotingPowerSource.sol";
+
+/// @title ERC721Votes Voting Power Source
+/// @notice Derives voting weight from the number of ERC721Votes tokens delegated to a holder at the snapshot block
+/// @dev Plain ERC721 balances have no history, so the collection must implement ERC721Votes. The token must use
+///      the default block-number clock.
+contract ERC721VotesPowerSource is IVotingPowerSource {
+    IVotes public immutable token;
+    uint256 public immutable weightPerToken; // Weight granted per held token
+
+    constructor(IVotes _token, uint256 _weightPerToken) {
+        require(address(_token) != address(0), "Invalid token");
+        require(_weightPerToken > 0 && _weightPerToken <= 1e18, "Invalid weight per token");
+        token = _token;
+        weightPerToken = _weightPerToken;
+    }
+
+    /// @inheritdoc IVotingPowerSource
+    function getVotingPower(address account, uint256 blockNumber) external view returns (uint256) {
+        return token.getPastVotes(account, blockNumber) * weightPerToken;
+    }
+
+    /// @inheritdoc IVotingPowerSource
+    function getTotalVotingPower(uint256 blockNumber) external view returns (uint256) {
+        return token.getPastTotalSupply(blockNumber) * weightPerToken;
+    }
+}
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const { buildWeightTree, parseWeightsCsv } = require("./lib/weightTree");
+
+/**
+ * Build a Merkle weight tree from a CSV of "address,weight" rows and write the root and per-member proofs as JSON.
+ *
+ * Usage: node scripts/build-weight-tree.js members.csv [output.json]
+ */
+function main() {
+  const [csvFile, outputArg] = process.argv.slice(2);
+  if (!csvFile) {
+    console.error("Usage: node scripts/build-weight-tree.js <members.csv> [output.json]");
+    process.exit(1);
+  }
+
+  console.log("========================================");
+  console.log("Weight Tree Builder");
+  console.log("========================================\n");
+
+  const entries = parseWeightsCsv(fs.readFileSync(csvFile, 'utf8'));
+  const tree = buildWeightTree(entries);
+
+  const outputFile = outputArg || path.join(path.dirname(csvFile), `${path.basename(csvFile, '.csv')}.proofs.json`);
+  fs.writeFileSync(outputFile, JSON.stringify(tree, null, 2));
+
+  console.log(`Members: ${entries.length}`);
+  console.log(`Total weight: ${tree.totalWeight}`);
+  console.log(`Merkle root: ${tree.root}`);
+  console.log(`\n✓ Proofs written to ${outputFile}`);
+  console.log("\nNext steps:");
+  console.log(`1. Publish the root: publishWeightRoot(${tree.root}, ${tree.totalWeight})`);
+  console.log("2. Share each member's proof so they can call voteWithProof or claimWeight\n");
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("\n❌ Weight tree build failed:");
+  console.error(error.message);
+  process.exit(1);
+}
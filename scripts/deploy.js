@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { deployVotingContract } = require("./lib/secureDAOVoting");
 
 async function main() {
   console.log("========================================");
@@ -18,19 +19,21 @@ async function main() {
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log(`Account balance: ${hre.ethers.formatEther(balance)} ETH\n`);
 
-  // Deploy the SecureDAOVoting contract
+  // Deploy the SecureDAOVoting contract together with its extensions
   console.log("Deploying SecureDAOVoting contract...");
-  const SecureDAOVoting = await hre.ethers.getContractFactory("SecureDAOVoting");
 
   const startTime = Date.now();
-  const votingContract = await SecureDAOVoting.deploy();
-  await votingContract.waitForDeployment();
+  const { votingContract, extensionAddress, governanceExtensionAddress, viewExtensionAddress } =
+    await deployVotingContract(deployer);
 
   const contractAddress = await votingContract.getAddress();
   const deployTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
   console.log(`\n✓ Contract deployed successfully in ${deployTime}s`);
-  console.log(`Contract address: ${contractAddress}\n`);
+  console.log(`Contract address: ${contractAddress}`);
+  console.log(`Extension address: ${extensionAddress}`);
+  console.log(`Governance extension address: ${governanceExtensionAddress}`);
+  console.log(`View extension address: ${viewExtensionAddress}\n`);
 
   // Initialize voter weights
   console.log("Setting up initial voter weights...");
@@ -58,6 +61,9 @@ async function main() {
     network: network.name,
     chainId: Number(network.chainId),
     contractAddress: contractAddress,
+    extensionAddress: extensionAddress,
+    governanceExtensionAddress: governanceExtensionAddress,
+    viewExtensionAddress: viewExtensionAddress,
     deployer: deployer.address,
     deployedAt: new Date().toISOString(),
     blockExplorer: `https://sepolia.etherscan.io/address/${contractAddress}`
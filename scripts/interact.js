@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require('fs');
 const path = require('path');
+const { getVotingContract } = require("./lib/secureDAOVoting");
 
 async function main() {
   console.log("========================================");
@@ -32,8 +33,7 @@ async function main() {
   console.log(`Interacting with account: ${signer.address}\n`);
 
   // Connect to the deployed contract
-  const SecureDAOVoting = await hre.ethers.getContractFactory("SecureDAOVoting");
-  const votingContract = SecureDAOVoting.attach(contractAddress);
+  const votingContract = await getVotingContract(contractAddress, signer);
 
   console.log("========================================");
   console.log("Contract State Information");
@@ -88,39 +88,49 @@ async function main() {
   console.log("/*");
   console.log("const tx1 = await votingContract.createProposal(");
   console.log('  "Upgrade Protocol",');
-  console.log('  "Proposal to upgrade the governance protocol to version 2.0"');
+  console.log('  "Proposal to upgrade the governance protocol to version 2.0",');
+  console.log("  [], // Actions performed if the proposal passes");
+  console.log("  { quorumBps: 0, threshold: 0, confidentialWeights: false, options: [], allowAbstain: false,");
+  console.log("    outcomeOnly: false, votingDuration: 0, votingStart: 0 },");
+  console.log("  { value: await votingContract.platformFee() }");
   console.log(");");
   console.log("await tx1.wait();");
   console.log("console.log('Proposal created successfully!');");
   console.log("*/\n");
 
-  // Example 2: Commit a vote
-  console.log("// Example 2: Commit a vote");
+  // Example 2: Cast an encrypted vote
+  console.log("// Example 2: Cast an encrypted vote");
   console.log("/*");
+  console.log("await hre.fhevm.initializeCLIApi();");
   console.log("const proposalId = 1;");
-  console.log("const support = true; // true for yes, false for no");
-  console.log("const nonce = Math.floor(Math.random() * 1000000);");
-  console.log("const voteHash = await votingContract.generateVoteHash(support, nonce);");
-  console.log("const tx2 = await votingContract.commitVote(proposalId, voteHash);");
+  console.log("const option = 0; // 0 for yes, 1 for no");
+  console.log("const input = await hre.fhevm");
+  console.log("  .createEncryptedInput(contractAddress, signer.address)");
+  console.log("  .add64(voterWeight)");
+  console.log("  .add8(option)");
+  console.log("  .encrypt();");
+  console.log("const tx2 = await votingContract.vote(proposalId, input.handles[0], input.handles[1], input.inputProof, {");
+  console.log("  value: await votingContract.minStake()");
+  console.log("});");
   console.log("await tx2.wait();");
-  console.log("console.log('Vote committed! Save your nonce:', nonce);");
+  console.log("console.log('Encrypted vote cast!');");
   console.log("*/\n");
 
-  // Example 3: Reveal a vote
-  console.log("// Example 3: Reveal a vote");
+  // Example 3: Reveal the tally
+  console.log("// Example 3: Reveal the tally (proposal creator or owner, after voting ends)");
   console.log("/*");
   console.log("const proposalId = 1;");
-  console.log("const support = true;");
-  console.log("const nonce = 123456; // Use the nonce from commit phase");
-  console.log("const tx3 = await votingContract.revealVote(proposalId, support, nonce);");
+  console.log("const tx3 = await votingContract.requestTallyReveal(proposalId);");
   console.log("await tx3.wait();");
-  console.log("console.log('Vote revealed successfully!');");
+  console.log("console.log('Tally decryption requested; the Gateway calls back with the result');");
   console.log("*/\n");
 
-  // Example 4: Execute a proposal
-  console.log("// Example 4: Execute a proposal");
+  // Example 4: Queue and execute a proposal
+  console.log("// Example 4: Queue and execute a proposal");
   console.log("/*");
   console.log("const proposalId = 1;");
+  console.log("await (await votingContract.queueProposal(proposalId)).wait();");
+  console.log("// Wait for the timelock delay, then:");
   console.log("const tx4 = await votingContract.executeProposal(proposalId);");
   console.log("await tx4.wait();");
   console.log("console.log('Proposal executed!');");
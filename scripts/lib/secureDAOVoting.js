@@ -0,0 +1,86 @@
+const { ethers } = require("hardhat");
+
+/**
+ * SecureDAOVoting forwards administration, delegation, parameter and guardian calls to SecureDAOVotingExtension,
+ * which in turn forwards cancellation, decryption, timelock, execution and stake calls to
+ * SecureDAOVotingGovernanceExtension, which forwards proposal views to SecureDAOVotingViewExtension.
+ * Clients need all four ABIs to reach every function through the one contract address.
+ */
+async function getVotingContract(address, runner) {
+  const core = await ethers.getContractFactory("SecureDAOVoting");
+  const extension = await ethers.getContractFactory("SecureDAOVotingExtension");
+  const governanceExtension = await ethers.getContractFactory("SecureDAOVotingGovernanceExtension");
+  const viewExtension = await ethers.getContractFactory("SecureDAOVotingViewExtension");
+  const fragments = [
+    ...core.interface.fragments,
+    ...extension.interface.fragments.filter((fragment) => fragment.type === "function"),
+    ...governanceExtension.interface.fragments.filter((fragment) => fragment.type === "function"),
+    ...viewExtension.interface.fragments.filter((fragment) => fragment.type === "function")
+  ];
+
+  return new ethers.Contract(address, fragments, runner || (await ethers.getSigners())[0]);
+}
+
+/**
+ * Deploy the chain back to front: the view extension, the governance extension pointing at it, the extension
+ * pointing at that, then SecureDAOVoting pointing at the extension.
+ * Returns the combined contract handle and every extension address.
+ */
+async function deployVotingContract(signer) {
+  const ViewExtension = await ethers.getContractFactory("SecureDAOVotingViewExtension", signer);
+  const viewExtension = await ViewExtension.deploy();
+  await viewExtension.waitForDeployment();
+  const viewExtensionAddress = await viewExtension.getAddress();
+
+  const GovernanceExtension = await ethers.getContractFactory("SecureDAOVotingGovernanceExtension", signer);
+  const governanceExtension = await GovernanceExtension.deploy(viewExtensionAddress);
+  await governanceExtension.waitForDeployment();
+  const governanceExtensionAddress = await governanceExtension.getAddress();
+
+  const Extension = await ethers.getContractFactory("SecureDAOVotingExtension", signer);
+  const extension = await Extension.deploy(governanceExtensionAddress);
+  await extension.waitForDeployment();
+  const extensionAddress = await extension.getAddress();
+
+  const SecureDAOVoting = await ethers.getContractFactory("SecureDAOVoting", signer);
+  const deployment = await SecureDAOVoting.deploy(extensionAddress);
+  await deployment.waitForDeployment();
+
+  const votingContract = await getVotingContract(await deployment.getAddress(), signer);
+  return { votingContract, extensionAddress, governanceExtensionAddress, viewExtensionAddress };
+}
+
+/**
+ * EIP-712 type of a ballot submitted through voteBySig; must match BALLOT_TYPEHASH in SecureDAOVoting.
+ */
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: "voter", type: "address" },
+    { name: "proposalId", type: "uint256" },
+    { name: "encryptedWeight", type: "bytes32" },
+    { name: "encryptedOption", type: "bytes32" },
+    { name: "inputProof", type: "bytes" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/**
+ * EIP-712 domain of a deployed SecureDAOVoting contract.
+ */
+async function getBallotDomain(votingContract) {
+  const { chainId } = await votingContract.runner.provider.getNetwork();
+  return { name: "SecureDAOVoting", version: "1", chainId, verifyingContract: await votingContract.getAddress() };
+}
+
+/**
+ * Sign a ballot for voteBySig. The encrypted inputs must be created for the relayer's address, since the
+ * contract verifies the input proof against the account that submits the transaction.
+ */
+async function signBallot(signer, votingContract, ballot) {
+  const value = { ...ballot, voter: signer.address };
+  const signature = await signer.signTypedData(await getBallotDomain(votingContract), BALLOT_TYPES, value);
+  return { ...value, signature };
+}
+
+module.exports = { getVotingContract, deployVotingContract, BALLOT_TYPES, getBallotDomain, signBallot };
@@ -0,0 +1,93 @@
+const { ethers } = require("ethers");
+
+/**
+ * Leaf for a member of a weight tree: keccak256(keccak256(abi.encode(account, weight))), matching
+ * SecureDAOVotingBase._verifyWeight. Double hashing keeps leaves from colliding with inner nodes.
+ */
+function hashLeaf(account, weight) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [account, weight]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+// Inner nodes hash the sorted pair, as OpenZeppelin's MerkleProof expects
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a weight tree from [{ account, weight }] entries.
+ * Returns the root, the total weight and a { weight, proof } entry per checksummed member address.
+ */
+function buildWeightTree(entries) {
+  if (entries.length === 0) {
+    throw new Error("No members");
+  }
+
+  const members = {};
+  let totalWeight = 0n;
+  for (const entry of entries) {
+    const account = ethers.getAddress(entry.account);
+    const weight = BigInt(entry.weight);
+    if (members[account]) {
+      throw new Error(`Duplicate member ${account}`);
+    }
+    if (weight <= 0n) {
+      throw new Error(`Invalid weight for ${account}`);
+    }
+    members[account] = { weight, leaf: hashLeaf(account, weight) };
+    totalWeight += weight;
+  }
+
+  // Sorted leaves make the root independent of input order
+  const leaves = Object.values(members)
+    .map((member) => member.leaf)
+    .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      // An unpaired node moves up unchanged
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofs = {};
+  for (const [account, member] of Object.entries(members)) {
+    const proof = [];
+    let index = leaves.indexOf(member.leaf);
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index ^ 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      index >>= 1;
+    }
+    proofs[account] = { weight: member.weight.toString(), proof };
+  }
+
+  return { root: layers[layers.length - 1][0], totalWeight: totalWeight.toString(), members: proofs };
+}
+
+/**
+ * Parse "address,weight" lines; a header row, blank lines and # comments are skipped.
+ */
+function parseWeightsCsv(text) {
+  const entries = [];
+  for (const [index, rawLine] of text.split(/\r?\n/).entries()) {
+    const line = rawLine.trim();
+    if (line === "" || line.startsWith("#")) continue;
+
+    const [account, weight] = line.split(",").map((field) => field.trim());
+    if (index === 0 && !ethers.isAddress(account)) continue; // Header
+
+    if (!ethers.isAddress(account) || !/^\d+$/.test(weight || "")) {
+      throw new Error(`Invalid row ${index + 1}: ${rawLine}`);
+    }
+    entries.push({ account, weight });
+  }
+  return entries;
+}
+
+module.exports = { hashLeaf, buildWeightTree, parseWeightsCsv };
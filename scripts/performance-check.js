@@ -33,8 +33,8 @@ async function runPerformanceCheck() {
 
       lines.forEach(line => {
         if (line.includes('createProposal') ||
-            line.includes('commitVote') ||
-            line.includes('revealVote') ||
+            line.includes('vote') ||
+            line.includes('requestTallyReveal') ||
             line.includes('executeProposal')) {
           console.log(line);
         }
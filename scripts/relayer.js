@@ -0,0 +1,162 @@
+const hre = require("hardhat");
+const fs = require('fs');
+const path = require('path');
+const { getVotingContract, getBallotDomain, signBallot, BALLOT_TYPES } = require("./lib/secureDAOVoting");
+
+/**
+ * Queues ballots signed for voteBySig and submits them from a single relayer account.
+ * Signatures and deadlines are checked before a ballot is queued; the contract enforces nonces on submission.
+ */
+class BallotRelayer {
+  constructor(votingContract, relayer) {
+    this.votingContract = votingContract.connect(relayer);
+    this.relayer = relayer;
+    this.queue = [];
+  }
+
+  async enqueue(ballot) {
+    const { signature, stake, ...value } = ballot;
+    const domain = await getBallotDomain(this.votingContract);
+    const signer = hre.ethers.verifyTypedData(domain, BALLOT_TYPES, value, signature);
+    if (signer !== hre.ethers.getAddress(ballot.voter)) {
+      throw new Error(`Invalid signature for ${ballot.voter}`);
+    }
+
+    const latest = await hre.ethers.provider.getBlock("latest");
+    if (BigInt(ballot.deadline) < BigInt(latest.timestamp)) {
+      throw new Error(`Signature expired for ${ballot.voter}`);
+    }
+
+    this.queue.push(ballot);
+    return this.queue.length;
+  }
+
+  async flush() {
+    const minStake = await this.votingContract.minStake();
+    const results = [];
+
+    while (this.queue.length > 0) {
+      const ballot = this.queue.shift();
+      try {
+        const tx = await this.votingContract.voteBySig(
+          ballot.proposalId,
+          ballot.encryptedWeight,
+          ballot.encryptedOption,
+          ballot.inputProof,
+          ballot.voter,
+          ballot.nonce,
+          ballot.deadline,
+          ballot.signature,
+          { value: ballot.stake ?? minStake }
+        );
+        const receipt = await tx.wait();
+        results.push({ voter: ballot.voter, status: "submitted", txHash: receipt.hash });
+      } catch (error) {
+        results.push({ voter: ballot.voter, status: "failed", reason: error.shortMessage || error.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+// Sign demo ballots from the node's unlocked accounts, encrypted for the relayer
+async function buildDemoBallots(votingContract, relayer, voters, proposalId) {
+  await hre.fhevm.initializeCLIApi();
+  const contractAddress = await votingContract.getAddress();
+  const latest = await hre.ethers.provider.getBlock("latest");
+  const ballots = [];
+
+  for (const [index, voter] of voters.entries()) {
+    const input = await hre.fhevm
+      .createEncryptedInput(contractAddress, relayer.address)
+      .add64(await votingContract.voterWeight(voter.address))
+      .add8(index % 2)
+      .encrypt();
+
+    ballots.push(await signBallot(voter, votingContract, {
+      proposalId,
+      encryptedWeight: hre.ethers.hexlify(input.handles[0]),
+      encryptedOption: hre.ethers.hexlify(input.handles[1]),
+      inputProof: hre.ethers.hexlify(input.inputProof),
+      nonce: await votingContract.nonces(voter.address),
+      deadline: latest.timestamp + 60 * 60
+    }));
+  }
+
+  return ballots;
+}
+
+async function main() {
+  console.log("========================================");
+  console.log("Ballot Relayer");
+  console.log("========================================\n");
+
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`Network: ${network.name}`);
+  console.log(`Chain ID: ${network.chainId}\n`);
+
+  // Contract address from the environment or the local deployment file
+  let contractAddress = process.env.CONTRACT_ADDRESS;
+  if (!contractAddress) {
+    const deploymentFile = path.join(__dirname, '..', 'deployments', `${network.name}-deployment.json`);
+    if (!fs.existsSync(deploymentFile)) {
+      console.error(`❌ Deployment file not found: ${deploymentFile}`);
+      console.error("Deploy to the local node first using: npm run deploy -- --network localhost");
+      process.exit(1);
+    }
+    contractAddress = JSON.parse(fs.readFileSync(deploymentFile, 'utf8')).contractAddress;
+  }
+
+  const [relayer, ...voters] = await hre.ethers.getSigners();
+  const votingContract = await getVotingContract(contractAddress, relayer);
+  console.log(`Contract Address: ${contractAddress}`);
+  console.log(`Relayer: ${relayer.address}\n`);
+
+  // Signed ballots from BALLOTS_FILE, or demo ballots from local accounts
+  let ballots;
+  if (process.env.BALLOTS_FILE) {
+    ballots = JSON.parse(fs.readFileSync(process.env.BALLOTS_FILE, 'utf8'));
+  } else {
+    const proposalId = process.env.PROPOSAL_ID || (await votingContract.proposalCount());
+    ballots = await buildDemoBallots(votingContract, relayer, voters.slice(0, 3), proposalId);
+  }
+
+  const relayerQueue = new BallotRelayer(votingContract, relayer);
+  for (const ballot of ballots) {
+    try {
+      const position = await relayerQueue.enqueue(ballot);
+      console.log(`✓ Queued ballot from ${ballot.voter} (#${position})`);
+    } catch (error) {
+      console.log(`✗ Rejected ballot: ${error.message}`);
+    }
+  }
+
+  console.log("\n========================================");
+  console.log("Submitting Ballots");
+  console.log("========================================\n");
+
+  const results = await relayerQueue.flush();
+  for (const result of results) {
+    if (result.status === "submitted") {
+      console.log(`✓ ${result.voter}: ${result.txHash}`);
+    } else {
+      console.log(`✗ ${result.voter}: ${result.reason}`);
+    }
+  }
+
+  const submitted = results.filter((result) => result.status === "submitted").length;
+  console.log(`\nSubmitted ${submitted} of ${results.length} queued ballots\n`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Relayer failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { BallotRelayer };
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { deployVotingContract } = require("./lib/secureDAOVoting");
 
 async function main() {
   console.log("========================================");
@@ -7,6 +8,7 @@ async function main() {
 
   // Get signers
   const [owner, voter1, voter2, voter3] = await hre.ethers.getSigners();
+  await hre.fhevm.initializeCLIApi();
 
   console.log("Simulation Accounts:");
   console.log(`Owner: ${owner.address}`);
@@ -19,9 +21,7 @@ async function main() {
   console.log("Step 1: Deploying Contract");
   console.log("========================================\n");
 
-  const SecureDAOVoting = await hre.ethers.getContractFactory("SecureDAOVoting");
-  const votingContract = await SecureDAOVoting.deploy();
-  await votingContract.waitForDeployment();
+  const { votingContract } = await deployVotingContract(owner);
 
   const contractAddress = await votingContract.getAddress();
   console.log(`✓ Contract deployed at: ${contractAddress}\n`);
@@ -56,7 +56,19 @@ async function main() {
 
   const createTx = await votingContract.connect(owner).createProposal(
     proposalTitle,
-    proposalDescription
+    proposalDescription,
+    [],
+    {
+      quorumBps: 0,
+      threshold: 0,
+      confidentialWeights: false,
+      options: [],
+      allowAbstain: false,
+      outcomeOnly: false,
+      votingDuration: 0,
+      votingStart: 0
+    },
+    { value: await votingContract.platformFee() }
   );
   await createTx.wait();
 
@@ -66,35 +78,45 @@ async function main() {
   const proposalId = 1;
   const proposal = await votingContract.getProposal(proposalId);
   console.log(`Proposal ID: ${proposalId}`);
+  console.log(`Voting starts at: ${new Date(Number(proposal.votingStart) * 1000).toLocaleString()}`);
   console.log(`Voting ends at: ${new Date(Number(proposal.votingEnd) * 1000).toLocaleString()}\n`);
 
-  // Commit votes
+  const votingDelay = await votingContract.votingDelay();
+  if (votingDelay > 0n) {
+    await hre.network.provider.send("evm_increaseTime", [Number(votingDelay)]);
+    await hre.network.provider.send("evm_mine");
+  }
+
+  // Cast encrypted votes
   console.log("========================================");
-  console.log("Step 4: Committing Votes (Secret Phase)");
+  console.log("Step 4: Casting Encrypted Votes");
   console.log("========================================\n");
 
   const votes = [
-    { signer: voter1, support: true, name: "Voter 1" },
-    { signer: voter2, support: true, name: "Voter 2" },
-    { signer: voter3, support: false, name: "Voter 3" }
+    { signer: voter1, weight: 500, support: true, name: "Voter 1" },
+    { signer: voter2, weight: 300, support: true, name: "Voter 2" },
+    { signer: voter3, weight: 200, support: false, name: "Voter 3" }
   ];
-
-  const voteCommitments = [];
+  const minStake = await votingContract.minStake();
 
   for (const vote of votes) {
-    const nonce = Math.floor(Math.random() * 1000000);
-    const voteHash = await votingContract.connect(vote.signer).generateVoteHash(vote.support, nonce);
-
-    const commitTx = await votingContract.connect(vote.signer).commitVote(proposalId, voteHash);
-    await commitTx.wait();
-
-    voteCommitments.push({ ...vote, nonce });
-    console.log(`✓ ${vote.name} committed vote (support: ${vote.support ? 'YES' : 'NO'})`);
-    console.log(`  Nonce: ${nonce}`);
+    // Option 0 is Yes and option 1 is No on a Yes/No ballot
+    const input = await hre.fhevm
+      .createEncryptedInput(contractAddress, vote.signer.address)
+      .add64(vote.weight)
+      .add8(vote.support ? 0 : 1)
+      .encrypt();
+
+    const voteTx = await votingContract
+      .connect(vote.signer)
+      .vote(proposalId, input.handles[0], input.handles[1], input.inputProof, { value: minStake });
+    await voteTx.wait();
+
+    console.log(`✓ ${vote.name} cast an encrypted vote (support: ${vote.support ? 'YES' : 'NO'})`);
   }
 
-  console.log("\n✓ All votes committed successfully!");
-  console.log("Note: Vote choices are hidden during the commit phase\n");
+  console.log("\n✓ All votes cast successfully!");
+  console.log("Note: Weights and choices stay encrypted until the tally is revealed\n");
 
   // Simulate time passing - advance to after voting period
   console.log("========================================");
@@ -102,28 +124,22 @@ async function main() {
   console.log("========================================\n");
 
   console.log("Advancing time to end of voting period...");
-  await hre.network.provider.send("evm_increaseTime", [7 * 24 * 60 * 60 + 1]); // 7 days + 1 second
+  await hre.network.provider.send("evm_increaseTime", [Number(await votingContract.votingDuration()) + 1]);
   await hre.network.provider.send("evm_mine");
 
   console.log("✓ Voting period ended\n");
 
-  // Reveal votes
+  // Reveal the tally
   console.log("========================================");
-  console.log("Step 6: Revealing Votes");
+  console.log("Step 6: Revealing the Tally");
   console.log("========================================\n");
 
-  for (const commitment of voteCommitments) {
-    const revealTx = await votingContract.connect(commitment.signer).revealVote(
-      proposalId,
-      commitment.support,
-      commitment.nonce
-    );
-    await revealTx.wait();
+  const revealTx = await votingContract.connect(owner).requestTallyReveal(proposalId);
+  await revealTx.wait();
+  console.log("✓ Tally decryption requested from the Gateway");
 
-    console.log(`✓ ${commitment.name} revealed vote: ${commitment.support ? 'YES' : 'NO'}`);
-  }
-
-  console.log();
+  await hre.fhevm.awaitDecryptionOracle();
+  console.log("✓ Gateway decrypted the tally\n");
 
   // Get voting results
   console.log("========================================");
@@ -136,17 +152,24 @@ async function main() {
   console.log(`Total Voters: ${updatedProposal.totalVoters}`);
   console.log(`Result: ${updatedProposal.yesVotes > updatedProposal.noVotes ? 'PASSED ✓' : 'REJECTED ✗'}\n`);
 
-  // Wait for reveal period to end
+  // Wait for reveal period to end, queue and wait out the timelock
   console.log("========================================");
   console.log("Step 8: Executing Proposal");
   console.log("========================================\n");
 
   console.log("Advancing time past reveal period...");
-  await hre.network.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]); // 1 day + 1 second
+  await hre.network.provider.send("evm_increaseTime", [Number(await votingContract.revealPeriod()) + 1]);
+  await hre.network.provider.send("evm_mine");
+
+  const queueTx = await votingContract.queueProposal(proposalId);
+  await queueTx.wait();
+  console.log("✓ Proposal queued; advancing time past the timelock...");
+
+  await hre.network.provider.send("evm_increaseTime", [Number(await votingContract.timelockDelay())]);
   await hre.network.provider.send("evm_mine");
 
   const executeTx = await votingContract.executeProposal(proposalId);
-  const receipt = await executeTx.wait();
+  await executeTx.wait();
 
   console.log("✓ Proposal executed successfully!\n");
 
@@ -158,15 +181,15 @@ async function main() {
   console.log("Summary:");
   console.log(`- Contract: ${contractAddress}`);
   console.log(`- Proposal: "${proposalTitle}"`);
-  console.log(`- Total Voters: ${voteCommitments.length}`);
+  console.log(`- Total Voters: ${updatedProposal.totalVoters}`);
   console.log(`- Yes Votes: ${updatedProposal.yesVotes} (Voter 1: 500, Voter 2: 300)`);
   console.log(`- No Votes: ${updatedProposal.noVotes} (Voter 3: 200)`);
   console.log(`- Final Result: ${updatedProposal.yesVotes > updatedProposal.noVotes ? 'PASSED ✓' : 'REJECTED ✗'}`);
-  console.log("\nThe commit-reveal voting mechanism successfully:");
-  console.log("  1. Kept vote choices secret during voting period");
-  console.log("  2. Verified all votes during reveal phase");
-  console.log("  3. Counted weighted votes accurately");
-  console.log("  4. Executed the proposal based on results\n");
+  console.log("\nThe encrypted voting mechanism successfully:");
+  console.log("  1. Kept weights and choices encrypted during the voting period");
+  console.log("  2. Tallied the ballots homomorphically on-chain");
+  console.log("  3. Revealed only the final tally through the Gateway");
+  console.log("  4. Executed the proposal after the timelock\n");
 
   console.log("========================================\n");
 }
@@ -2,6 +2,16 @@ const hre = require("hardhat");
 const fs = require('fs');
 const path = require('path');
 
+// Verify one contract, treating an already verified contract as success
+async function verifyContract(args) {
+  try {
+    await hre.run("verify:verify", args);
+  } catch (error) {
+    if (!error.message.toLowerCase().includes("already verified")) throw error;
+    console.log(`✓ ${args.contract} is already verified`);
+  }
+}
+
 async function main() {
   console.log("========================================");
   console.log("Contract Verification Script");
@@ -28,10 +38,25 @@ async function main() {
   console.log("Starting verification process...\n");
 
   try {
-    // Verify the contract on Etherscan
-    await hre.run("verify:verify", {
-      address: contractAddress,
+    // Verify the extensions first; each contract takes the next one's address as constructor argument
+    await verifyContract({
+      address: deploymentInfo.viewExtensionAddress,
       constructorArguments: [],
+      contract: "contracts/SecureDAOVotingViewExtension.sol:SecureDAOVotingViewExtension"
+    });
+    await verifyContract({
+      address: deploymentInfo.governanceExtensionAddress,
+      constructorArguments: [deploymentInfo.viewExtensionAddress],
+      contract: "contracts/SecureDAOVotingGovernanceExtension.sol:SecureDAOVotingGovernanceExtension"
+    });
+    await verifyContract({
+      address: deploymentInfo.extensionAddress,
+      constructorArguments: [deploymentInfo.governanceExtensionAddress],
+      contract: "contracts/SecureDAOVotingExtension.sol:SecureDAOVotingExtension"
+    });
+    await verifyContract({
+      address: contractAddress,
+      constructorArguments: [deploymentInfo.extensionAddress],
       contract: "contracts/SecureDAOVoting.sol:SecureDAOVoting"
     });
 